@@ -0,0 +1,506 @@
+// Assembler
+// Turns Cowgod-style mnemonics (the same ones the disassembler prints) into a program
+// that can be loaded with CPU.loadProgramIntoMemory()
+//
+// Syntax, one statement per line, ; starts a comment
+//   loop:                      label, address of next statement
+//   LD V0, 0x0A                instruction, operands separated by commas
+//   LD I, LONG 0x1234          XO-CHIP 4-byte F000 nnnn
+//   :const SPEED 4             named constant
+//   :byte 1, 2, 0xFF           data bytes (DB is the same)
+//   :sprite ..####..           sprite row, # is a pixel, 8 or 16 characters wide
+//   :macro name a, b           macro with parameters, body runs to :endmacro
+//   name V1, 5                 use macro, parameters replaced by arguments
+//
+// Disassembler listings assemble as they are, the address and hex columns are skipped
+//   200  6A0A      LD VA, 0x0A
+//
+// Numbers can be decimal (10), hex (0x0A or #0A) or binary (0b00001010)
+
+// Programs are loaded at 0x200
+const ORIGIN = 0x200;
+
+// Operands that are keywords rather than values
+const KEYWORDS = ['I', '[I]', 'DT', 'ST', 'K', 'F', 'HF', 'B', 'R'];
+
+// Address and hex columns at the start of a disassembler listing line
+// Data lines have no hex, only spaces up to DB
+// Macros used inside macros this deep are taken to use themselves
+const MAX_MACRO_DEPTH = 32;
+
+const LISTING_COLUMNS = /^\s*[0-9A-F]{3,4} {2}(?:[0-9A-F]{4}(?:[0-9A-F]{4})? {2}|\s+(?=DB\b))/;
+
+// Error with the line and column (both starting at 1) it was found at
+class AssemblerError extends Error {
+    constructor(message, line, column) {
+        super(line + ':' + column + ': ' + message);
+
+        this.name = 'AssemblerError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class Assembler {
+    // source: program text
+    // Returns program bytes, throws AssemblerError on the first mistake
+    assemble(source) {
+        let statements = this.parse(source);
+
+        // Pass 1, work out address of every label
+        this.symbols = new Map();
+        this.resolving = false;
+        this.layout(statements);
+
+        // Pass 2, encode with every label known
+        this.resolving = true;
+        let bytes = [];
+
+        for (let statement of statements) {
+            for (let byte of this.encode(statement)) {
+                bytes.push(byte);
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    // Split source into statements, expanding macros and pulling out labels and constants
+    // Statement: { kind, name, operands: [{ text, column }], line, column }
+    parse(source) {
+        let lines = source.split(/\r?\n/);
+        let statements = [];
+        let macros = new Map();
+
+        // Macro currently being defined
+        let macro = null;
+
+        let parseLine = (text, lineNumber, args) => {
+            // Blank listing columns out, columns in errors still match the line
+            text = text.replace(LISTING_COLUMNS, columns => ' '.repeat(columns.length));
+
+            // Strip comment
+            let commentAt = text.indexOf(';');
+            if (commentAt !== -1) {
+                text = text.slice(0, commentAt);
+            }
+
+            // Replace macro parameters with arguments, whole words only
+            if (args) {
+                for (let [param, arg] of args) {
+                    text = text.replace(new RegExp('\\b' + param + '\\b', 'g'), arg);
+                }
+            }
+
+            let column = text.search(/\S/);
+            if (column === -1) {
+                return;
+            }
+
+            let rest = text.slice(column);
+
+            // Labels, possibly followed by a statement on the same line
+            let label = rest.match(/^([A-Za-z_][A-Za-z0-9_]*):/);
+            while (label) {
+                statements.push({ kind: 'label', name: label[1], operands: [], line: lineNumber, column: column + 1 });
+
+                let skip = label[0].length;
+                let next = rest.slice(skip).search(/\S/);
+
+                if (next === -1) {
+                    return;
+                }
+
+                column += skip + next;
+                rest = text.slice(column);
+                label = rest.match(/^([A-Za-z_][A-Za-z0-9_]*):/);
+            }
+
+            // Mnemonic or directive, then operands
+            let name = rest.match(/^\S+/)[0];
+            let operands = splitOperands(text, column + name.length);
+            let statement = { kind: 'op', name: name.toUpperCase(), operands, line: lineNumber, column: column + 1 };
+
+            if (name.startsWith(':')) {
+                statement.kind = 'directive';
+                statement.name = name.toLowerCase();
+            } else if (macros.has(name)) {
+                statement.kind = 'macro';
+                statement.name = name;
+            }
+
+            return statement;
+        };
+
+        // depth: macros being expanded, use: statement in the source that started expanding them
+        let addStatement = (statement, depth = 0, use = statement) => {
+            if (!statement) {
+                return;
+            }
+
+            if (statement.kind !== 'macro') {
+                statements.push(statement);
+                return;
+            }
+
+            // Expand macro body with its parameters replaced
+            let definition = macros.get(statement.name);
+
+            if (depth >= MAX_MACRO_DEPTH) {
+                throw new AssemblerError('Macro ' + use.name + ' expands more than ' + MAX_MACRO_DEPTH +
+                    ' deep, does a macro use itself?', use.line, use.column);
+            }
+
+            if (statement.operands.length !== definition.params.length) {
+                throw new AssemblerError('Macro ' + statement.name + ' takes ' + definition.params.length +
+                    ' arguments, got ' + statement.operands.length, statement.line, statement.column);
+            }
+
+            let args = definition.params.map((param, index) => [param, statement.operands[index].text]);
+
+            for (let body of definition.body) {
+                addStatement(parseLine(body.text, body.line, args), depth + 1, use);
+            }
+        };
+
+        for (let index = 0; index < lines.length; index++) {
+            let lineNumber = index + 1;
+
+            if (macro) {
+                if (/^\s*:endmacro\b/i.test(lines[index])) {
+                    macros.set(macro.name, macro);
+                    macro = null;
+                } else {
+                    macro.body.push({ text: lines[index], line: lineNumber });
+                }
+                continue;
+            }
+
+            let statement = parseLine(lines[index], lineNumber, null);
+
+            if (statement && statement.kind === 'directive' && statement.name === ':macro') {
+                // First operand holds name and first parameter, eg. ':macro move a, b'
+                let words = statement.operands.length ? statement.operands[0].text.split(/\s+/) : [];
+
+                if (words.length === 0 || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(words[0])) {
+                    throw new AssemblerError('Macro needs a name', statement.line, statement.column);
+                }
+
+                let params = words.slice(1).concat(statement.operands.slice(1).map(operand => operand.text));
+                macro = { name: words[0], params, body: [] };
+                continue;
+            }
+
+            addStatement(statement);
+        }
+
+        if (macro) {
+            throw new AssemblerError('Macro ' + macro.name + ' is missing :endmacro', lines.length, 1);
+        }
+
+        return statements;
+    }
+
+    // Assign addresses to labels and values to constants
+    layout(statements) {
+        let address = ORIGIN;
+
+        for (let statement of statements) {
+            if (statement.kind === 'label') {
+                this.define(statement.name, address, statement);
+                continue;
+            }
+
+            if (statement.name === ':const') {
+                let words = statement.operands.length ? statement.operands[0].text.split(/\s+/) : [];
+
+                if (words.length !== 2) {
+                    throw new AssemblerError(':const needs a name and a value', statement.line, statement.column);
+                }
+
+                // Constants may only use symbols defined above them
+                let operand = statement.operands[0];
+                let column = operand.column + operand.text.lastIndexOf(words[1]);
+
+                this.resolving = true;
+                let value = this.value({ text: words[1], column }, statement);
+                this.resolving = false;
+
+                this.define(words[0], value, statement);
+                continue;
+            }
+
+            address += this.size(statement);
+        }
+    }
+
+    define(name, value, statement) {
+        if (this.symbols.has(name)) {
+            throw new AssemblerError(name + ' is already defined', statement.line, statement.column);
+        }
+
+        this.symbols.set(name, value);
+    }
+
+    // Bytes a statement takes, sizes never depend on values so labels can be laid out in one pass
+    size(statement) {
+        switch (statement.name) {
+            case ':const':
+                return 0;
+            case ':byte':
+            case 'DB':
+                return statement.operands.length;
+            case ':sprite':
+                return statement.operands.reduce((total, operand) => total + spriteRow(operand, statement).length, 0);
+        }
+
+        if (statement.kind === 'directive') {
+            throw new AssemblerError('Unknown directive ' + statement.name, statement.line, statement.column);
+        }
+
+        // LD I, LONG nnnn is F000 nnnn
+        let last = statement.operands[statement.operands.length - 1];
+        if (statement.name === 'LD' && last && /^LONG\b/i.test(last.text)) {
+            return 4;
+        }
+
+        return 2;
+    }
+
+    // Bytes for a statement
+    encode(statement) {
+        switch (statement.name) {
+            case ':const':
+                return [];
+            case ':byte':
+            case 'DB':
+                return statement.operands.map(operand => this.number(operand, statement, -128, 0xFF) & 0xFF);
+            case ':sprite':
+                return statement.operands.reduce((bytes, operand) => bytes.concat(spriteRow(operand, statement)), []);
+        }
+
+        if (statement.kind === 'label') {
+            return [];
+        }
+
+        let opcode = this.opcode(statement);
+
+        if (opcode > 0xFFFF) {
+            // 4-byte F000 nnnn
+            return [0xF0, 0x00, (opcode >> 8) & 0xFF, opcode & 0xFF];
+        }
+
+        return [opcode >> 8, opcode & 0xFF];
+    }
+
+    // Opcode for an instruction
+    // LD I, LONG returns 0xF000nnnn style value above 0xFFFF
+    opcode(statement) {
+        let operands = statement.operands.map(operand => this.classify(operand));
+        let kinds = operands.map(operand => operand.kind).join(',');
+        let [a, b, c] = operands;
+
+        let error = () => new AssemblerError('Invalid operands for ' + statement.name + ': ' +
+            statement.operands.map(operand => operand.text).join(', '), statement.line, statement.column);
+
+        let value = (operand, min, max) => this.number(operand.source, statement, min, max);
+        let byte = (operand) => value(operand, -128, 0xFF) & 0xFF;
+        let addr = (operand) => value(operand, 0, 0xFFF);
+        let nibble = (operand) => value(operand, 0, 0xF);
+
+        switch (statement.name) {
+            case 'CLS': if (kinds === '') return 0x00E0; break;
+            case 'RET': if (kinds === '') return 0x00EE; break;
+            case 'SCR': if (kinds === '') return 0x00FB; break;
+            case 'SCL': if (kinds === '') return 0x00FC; break;
+            case 'EXIT': if (kinds === '') return 0x00FD; break;
+            case 'LOW': if (kinds === '') return 0x00FE; break;
+            case 'HIGH': if (kinds === '') return 0x00FF; break;
+            case 'AUDIO': if (kinds === '') return 0xF002; break;
+            case 'SCD': if (kinds === 'value') return 0x00C0 | nibble(a); break;
+            case 'SCU': if (kinds === 'value') return 0x00D0 | nibble(a); break;
+            case 'SYS': if (kinds === 'value') return addr(a); break;
+            case 'CALL': if (kinds === 'value') return 0x2000 | addr(a); break;
+            case 'JP':
+                if (kinds === 'value') return 0x1000 | addr(a);
+                if (kinds === 'reg,value' && a.value === 0) return 0xB000 | addr(b);
+                break;
+            case 'SE':
+                if (kinds === 'reg,value') return 0x3000 | (a.value << 8) | byte(b);
+                if (kinds === 'reg,reg') return 0x5000 | (a.value << 8) | (b.value << 4);
+                break;
+            case 'SNE':
+                if (kinds === 'reg,value') return 0x4000 | (a.value << 8) | byte(b);
+                if (kinds === 'reg,reg') return 0x9000 | (a.value << 8) | (b.value << 4);
+                break;
+            case 'LD':
+                switch (kinds) {
+                    case 'reg,value': return 0x6000 | (a.value << 8) | byte(b);
+                    case 'reg,reg': return 0x8000 | (a.value << 8) | (b.value << 4);
+                    case 'I,value': return 0xA000 | addr(b);
+                    case 'I,long': return 0xF0000000 + this.number(b.source, statement, 0, 0xFFFF);
+                    case 'reg,DT': return 0xF007 | (a.value << 8);
+                    case 'reg,K': return 0xF00A | (a.value << 8);
+                    case 'DT,reg': return 0xF015 | (b.value << 8);
+                    case 'ST,reg': return 0xF018 | (b.value << 8);
+                    case 'F,reg': return 0xF029 | (b.value << 8);
+                    case 'HF,reg': return 0xF030 | (b.value << 8);
+                    case 'B,reg': return 0xF033 | (b.value << 8);
+                    case '[I],reg': return 0xF055 | (b.value << 8);
+                    case 'reg,[I]': return 0xF065 | (a.value << 8);
+                    case 'R,reg': return 0xF075 | (b.value << 8);
+                    case 'reg,R': return 0xF085 | (a.value << 8);
+                    case '[I],range': return 0x5002 | (b.value << 8) | (b.to << 4);
+                    case 'range,[I]': return 0x5003 | (a.value << 8) | (a.to << 4);
+                }
+                break;
+            case 'ADD':
+                if (kinds === 'reg,value') return 0x7000 | (a.value << 8) | byte(b);
+                if (kinds === 'reg,reg') return 0x8004 | (a.value << 8) | (b.value << 4);
+                if (kinds === 'I,reg') return 0xF01E | (b.value << 8);
+                break;
+            case 'OR': if (kinds === 'reg,reg') return 0x8001 | (a.value << 8) | (b.value << 4); break;
+            case 'AND': if (kinds === 'reg,reg') return 0x8002 | (a.value << 8) | (b.value << 4); break;
+            case 'XOR': if (kinds === 'reg,reg') return 0x8003 | (a.value << 8) | (b.value << 4); break;
+            case 'SUB': if (kinds === 'reg,reg') return 0x8005 | (a.value << 8) | (b.value << 4); break;
+            case 'SUBN': if (kinds === 'reg,reg') return 0x8007 | (a.value << 8) | (b.value << 4); break;
+            // Vy is optional for shifts, Vx is shifted in place when left out
+            case 'SHR':
+                if (kinds === 'reg') return 0x8006 | (a.value << 8) | (a.value << 4);
+                if (kinds === 'reg,reg') return 0x8006 | (a.value << 8) | (b.value << 4);
+                break;
+            case 'SHL':
+                if (kinds === 'reg') return 0x800E | (a.value << 8) | (a.value << 4);
+                if (kinds === 'reg,reg') return 0x800E | (a.value << 8) | (b.value << 4);
+                break;
+            case 'RND': if (kinds === 'reg,value') return 0xC000 | (a.value << 8) | byte(b); break;
+            case 'DRW': if (kinds === 'reg,reg,value') return 0xD000 | (a.value << 8) | (b.value << 4) | nibble(c); break;
+            case 'SKP': if (kinds === 'reg') return 0xE09E | (a.value << 8); break;
+            case 'SKNP': if (kinds === 'reg') return 0xE0A1 | (a.value << 8); break;
+            case 'PLANE': if (kinds === 'value') return 0xF001 | (nibble(a) << 8); break;
+            case 'PITCH': if (kinds === 'reg') return 0xF03A | (a.value << 8); break;
+            default:
+                throw new AssemblerError('Unknown instruction ' + statement.name, statement.line, statement.column);
+        }
+
+        throw error();
+    }
+
+    // Work out what kind of operand text is
+    // kind: 'reg' (V0-VF), 'range' (Vx - Vy), 'long' (LONG nnnn), 'value', or a keyword such as 'I' or 'DT'
+    classify(operand) {
+        let text = operand.text;
+        let upper = text.toUpperCase();
+
+        let register = upper.match(/^V([0-9A-F])$/);
+        if (register) {
+            return { kind: 'reg', value: parseInt(register[1], 16), source: operand };
+        }
+
+        let range = upper.match(/^V([0-9A-F])\s*-\s*V([0-9A-F])$/);
+        if (range) {
+            return { kind: 'range', value: parseInt(range[1], 16), to: parseInt(range[2], 16), source: operand };
+        }
+
+        if (/^LONG\s+/.test(upper)) {
+            let valueText = text.replace(/^LONG\s+/i, '');
+            let column = operand.column + text.length - valueText.length;
+
+            return { kind: 'long', source: { text: valueText, column } };
+        }
+
+        if (KEYWORDS.includes(upper)) {
+            return { kind: upper, source: operand };
+        }
+
+        return { kind: 'value', source: operand };
+    }
+
+    // Numeric value of operand, checked against min and max
+    number(operand, statement, min, max) {
+        let value = this.value(operand, statement);
+
+        if (value < min || value > max) {
+            throw new AssemblerError(operand.text + ' is out of range (' + min + ' to ' + max + ')',
+                statement.line, operand.column);
+        }
+
+        return value;
+    }
+
+    // Number literal, constant or label
+    value(operand, statement) {
+        let text = operand.text;
+
+        if (/^-?\d+$/.test(text)) return parseInt(text, 10);
+        if (/^0x[0-9a-f]+$/i.test(text)) return parseInt(text.slice(2), 16);
+        if (/^#[0-9a-f]+$/i.test(text)) return parseInt(text.slice(1), 16);
+        if (/^0b[01]+$/i.test(text)) return parseInt(text.slice(2), 2);
+
+        if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(text)) {
+            if (this.symbols.has(text)) {
+                return this.symbols.get(text);
+            }
+
+            // Labels further down are not known until pass 2
+            if (!this.resolving) {
+                return 0;
+            }
+
+            throw new AssemblerError('Unknown symbol ' + text, statement.line, operand.column);
+        }
+
+        throw new AssemblerError('Invalid value ' + text, statement.line, operand.column);
+    }
+}
+
+// Split operands after a mnemonic on commas
+// Returns [{ text, column }], column starts at 1
+function splitOperands(text, start) {
+    let operands = [];
+    let index = start;
+
+    while (index < text.length) {
+        let end = text.indexOf(',', index);
+        if (end === -1) {
+            end = text.length;
+        }
+
+        let raw = text.slice(index, end);
+        let offset = raw.search(/\S/);
+
+        if (offset !== -1) {
+            operands.push({ text: raw.trim(), column: index + offset + 1 });
+        }
+
+        index = end + 1;
+    }
+
+    return operands;
+}
+
+// Sprite row such as '..####..' into bytes, # is a pixel and . is blank
+function spriteRow(operand, statement) {
+    let text = operand.text;
+
+    if (!/^[.#]+$/.test(text) || (text.length !== 8 && text.length !== 16)) {
+        throw new AssemblerError('Sprite row must be 8 or 16 of # and .: ' + text, statement.line, operand.column);
+    }
+
+    let bytes = [];
+
+    for (let start = 0; start < text.length; start += 8) {
+        let byte = 0;
+
+        for (let char of text.slice(start, start + 8)) {
+            byte = (byte << 1) | (char === '#' ? 1 : 0);
+        }
+
+        bytes.push(byte);
+    }
+
+    return bytes;
+}
+
+export { AssemblerError };
+export default Assembler;
@@ -0,0 +1,61 @@
+// Audio settings panel
+// Volume, mute, buzzer pitch and waveform of the speaker
+
+import { WAVEFORMS } from "./speaker.js";
+
+class AudioSettings {
+    constructor(speaker) {
+        this.speaker = speaker;
+
+        // Without a page (eg. running under Node) speaker is set up directly
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.muteInput = document.querySelector('#audio-mute');
+        this.volumeInput = document.querySelector('#audio-volume');
+        this.frequencyInput = document.querySelector('#audio-frequency');
+        this.waveformSelect = document.querySelector('#audio-waveform');
+
+        for (let waveform of WAVEFORMS) {
+            let option = document.createElement('option');
+            option.value = waveform;
+            option.textContent = waveform;
+            this.waveformSelect.appendChild(option);
+        }
+
+        this.muteInput.checked = this.speaker.muted;
+        this.volumeInput.value = this.speaker.volume;
+        this.frequencyInput.value = this.speaker.frequency;
+        this.waveformSelect.value = this.speaker.waveform;
+
+        this.muteInput.addEventListener('change', this.onMuteChange.bind(this), false);
+        this.volumeInput.addEventListener('input', this.onVolumeInput.bind(this), false);
+        this.frequencyInput.addEventListener('change', this.onFrequencyChange.bind(this), false);
+        this.waveformSelect.addEventListener('change', this.onWaveformChange.bind(this), false);
+    }
+
+    onMuteChange() {
+        this.speaker.setMuted(this.muteInput.checked);
+    }
+
+    onVolumeInput() {
+        this.speaker.setVolume(parseFloat(this.volumeInput.value));
+    }
+
+    onFrequencyChange() {
+        let frequency = parseInt(this.frequencyInput.value, 10);
+
+        if (frequency > 0) {
+            this.speaker.setFrequency(frequency);
+        } else {
+            this.frequencyInput.value = this.speaker.frequency;
+        }
+    }
+
+    onWaveformChange() {
+        this.speaker.setWaveform(this.waveformSelect.value);
+    }
+}
+
+export default AudioSettings;
@@ -0,0 +1,65 @@
+// Canvas 2D backend for Renderer
+// Draws every pixel that is not fully transparent with fillRect
+// Slower than WebGL, but works wherever a canvas does, eg. browsers with WebGL disabled
+// or headless browsers used for testing
+
+// How much of a pixel's brightness is taken away by the scanline filter
+const SCANLINE_DARKEN = 0.35;
+
+class CanvasBackend {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    // Draw region of renderer.frame, RGBA colour of every pixel, onto canvas
+    // region: { left, top, right, bottom } in display pixels, right and bottom exclusive
+    draw(renderer, region) {
+        let frame = renderer.frame;
+        let pixelSize = renderer.pixelSize;
+
+        // Only changed pixels are cleared and redrawn
+        this.ctx.clearRect(region.left * pixelSize, region.top * pixelSize,
+            (region.right - region.left) * pixelSize, (region.bottom - region.top) * pixelSize);
+
+        for (let y = region.top; y < region.bottom; y++) {
+            for (let x = region.left; x < region.right; x++) {
+                let i = x + (y * renderer.cols);
+                let alpha = frame[(i * 4) + 3];
+
+                // Fully transparent, nothing to draw
+                if (!alpha) {
+                    continue;
+                }
+
+                this.ctx.fillStyle = 'rgba(' + frame[i * 4] + ',' + frame[(i * 4) + 1] + ',' +
+                    frame[(i * 4) + 2] + ',' + (alpha / 255) + ')';
+
+                // Place a pixel at position (x, y) with width and height of pixelSize
+                this.ctx.fillRect(x * pixelSize, y * pixelSize, pixelSize, pixelSize);
+            }
+        }
+
+        if (renderer.scanlines) {
+            this.drawScanlines(renderer, region);
+        }
+    }
+
+    // Fade the bottom third of every display row, like the gaps between CRT scanlines
+    // destination-out only takes away from what is already drawn, so a transparent background stays clear
+    drawScanlines(renderer, region) {
+        let pixelSize = renderer.pixelSize;
+
+        this.ctx.globalCompositeOperation = 'destination-out';
+        this.ctx.fillStyle = 'rgba(0,0,0,' + SCANLINE_DARKEN + ')';
+
+        for (let row = region.top; row < region.bottom; row++) {
+            this.ctx.fillRect(region.left * pixelSize, (row * pixelSize) + (pixelSize * 2 / 3),
+                (region.right - region.left) * pixelSize, pixelSize / 3);
+        }
+
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+}
+
+export default CanvasBackend;
@@ -0,0 +1,372 @@
+// Screenshots and gameplay recordings
+// Everything is drawn from the renderer's display at a whole number scale rather than copied off the canvas,
+// so pixels stay sharp whatever size the canvas is and whatever backend draws it
+// Screenshots are PNGs of the display at its current resolution
+// Recordings are 128x64 times scale so switching resolution does not change their size, low resolution pixels are doubled
+// gif: animated GIF, silent
+// webm: WebM video through MediaRecorder, with the speaker's sound
+
+import GifEncoder from "./gif.js";
+import download from "./download.js";
+import isEditable from "./editable.js";
+
+// Shortest delay between GIF frames in hundredths of a second
+// Browsers slow down anything faster, so frames closer together are dropped
+const MIN_GIF_DELAY = 2;
+
+// Recording size in display pixels, before scaling
+const RECORD_COLS = 128;
+const RECORD_ROWS = 64;
+
+// What shows through transparent palette colours on the page, eg. the Classic background
+// GIF and video have no transparency, so colours are blended onto it before recording
+// Screenshots are PNGs, which keep the transparency
+const BACKDROP = [255, 255, 255];
+
+class Capture {
+    // screenshotKey, recordKey: KeyboardEvent.code of hotkeys taking a screenshot and starting or stopping a recording
+    constructor(renderer, speaker, screenshotKey = 'F8', recordKey = 'F9') {
+        this.renderer = renderer;
+        this.speaker = speaker;
+        this.screenshotKey = screenshotKey;
+        this.recordKey = recordKey;
+
+        // Size of a display pixel in screenshots and recordings
+        this.scale = 8;
+
+        // 'gif' or 'webm', format of next recording
+        this.format = 'gif';
+
+        // Recording in progress, null when not recording
+        // gif: { format, encoder, start, pending, delays }
+        //   pending is the latest frame, { display, hires, time }, encoded once the display changes and its delay is known
+        //   delays is hundredths of a second encoded so far
+        // webm: { format, canvas, context, image, recorder, chunks, audio }
+        this.recording = null;
+
+        // Without a page (eg. running under Node) screenshots and GIFs are still made by calling methods
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.scaleInput = document.querySelector('#capture-scale');
+        this.formatSelect = document.querySelector('#capture-format');
+        this.recordButton = document.querySelector('#capture-record');
+        this.status = document.querySelector('#capture-status');
+
+        this.scaleInput.value = this.scale;
+        this.formatSelect.value = this.format;
+
+        // WebM needs MediaRecorder and canvas streams
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            this.formatSelect.querySelector('option[value="webm"]').disabled = true;
+        }
+
+        this.scaleInput.addEventListener('change', this.onScaleChange.bind(this), false);
+        this.formatSelect.addEventListener('change', this.onFormatChange.bind(this), false);
+        document.querySelector('#capture-screenshot').addEventListener('click', this.onScreenshotClick.bind(this), false);
+        this.recordButton.addEventListener('click', this.onRecordClick.bind(this), false);
+        window.addEventListener('keydown', this.onKeyDown.bind(this), false);
+    }
+
+    // True while a recording is running
+    get active() {
+        return this.recording !== null;
+    }
+
+    // Display at its current resolution as RGBA bytes
+    // Returns { width, height, data }
+    image(scale = this.scale) {
+        let width = this.renderer.cols * scale;
+        let height = this.renderer.rows * scale;
+
+        return {
+            width,
+            height,
+            data: colorize(sample(this.renderer, width, height), this.renderer.colors)
+        };
+    }
+
+    // Save display as a PNG file
+    screenshot(scale = this.scale) {
+        let image = this.image(scale);
+        let canvas = document.createElement('canvas');
+
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+
+        canvas.toBlob(function(blob) {
+            download(blob, 'chip8.png');
+        }, 'image/png');
+    }
+
+    // Start recording in format, 'gif' or 'webm'
+    record(format = this.format) {
+        if (this.recording) {
+            this.stop();
+        }
+
+        if (format === 'gif') {
+            let colors = opaque(this.renderer.colors);
+            let encoder = new GifEncoder(RECORD_COLS * this.scale, RECORD_ROWS * this.scale, colors);
+
+            this.recording = { format, encoder, start: null, pending: null, delays: 0 };
+        } else if (format === 'webm') {
+            this.recording = this.startVideo();
+        } else {
+            throw new Error('Unknown recording format ' + format);
+        }
+    }
+
+    // MediaRecorder drawing from a canvas of its own, with sound from the speaker's gain node
+    startVideo() {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('Video recording is not supported by this browser');
+        }
+
+        let canvas = document.createElement('canvas');
+        canvas.width = RECORD_COLS * this.scale;
+        canvas.height = RECORD_ROWS * this.scale;
+
+        let context = canvas.getContext('2d');
+        let image = context.createImageData(canvas.width, canvas.height);
+
+        let stream = canvas.captureStream(60);
+        let audio = null;
+
+        if (this.speaker.audioCtx) {
+            audio = this.speaker.audioCtx.createMediaStreamDestination();
+            this.speaker.gain.connect(audio);
+
+            for (let track of audio.stream.getAudioTracks()) {
+                stream.addTrack(track);
+            }
+        }
+
+        let type = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'].find(function(type) {
+            return MediaRecorder.isTypeSupported(type);
+        });
+
+        let recorder = new MediaRecorder(stream, type ? { mimeType: type } : {});
+        let chunks = [];
+
+        recorder.ondataavailable = function(event) {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        recorder.start();
+
+        return { format: 'webm', canvas, context, image, recorder, chunks, audio };
+    }
+
+    // Add current display to recording
+    // Called in step() in chip8.js every animation frame, after rendering
+    // now: timestamp in milliseconds
+    update(now) {
+        let recording = this.recording;
+
+        if (!recording) {
+            return;
+        }
+
+        if (recording.format === 'webm') {
+            let image = recording.image;
+
+            image.data.set(colorize(sample(this.renderer, image.width, image.height), opaque(this.renderer.colors)));
+            recording.context.putImageData(image, 0, 0);
+            return;
+        }
+
+        let pending = recording.pending;
+
+        if (pending) {
+            // GIF frames are timed in hundredths of a second
+            if (now - pending.time < MIN_GIF_DELAY * 10) {
+                return;
+            }
+
+            // Unchanged display just makes pending frame last longer
+            if (pending.hires === this.renderer.hires && equal(pending.display, this.renderer.display)) {
+                return;
+            }
+
+            this.encodeFrame(recording, now);
+        } else {
+            recording.start = now;
+        }
+
+        recording.pending = { display: this.renderer.display.slice(), hires: this.renderer.hires, time: now };
+    }
+
+    // Compress pending frame into the GIF, shown until end
+    encodeFrame(recording, end) {
+        let frame = recording.pending;
+        let encoder = recording.encoder;
+
+        // Rounded from start of recording, so delays do not drift
+        let delay = Math.max(Math.round((end - recording.start) / 10) - recording.delays, MIN_GIF_DELAY);
+        recording.delays += delay;
+
+        encoder.addFrame(sample({
+            display: frame.display,
+            cols: frame.hires ? 128 : 64,
+            rows: frame.hires ? 64 : 32
+        }, encoder.width, encoder.height), delay);
+    }
+
+    // Finish recording and save it as a file
+    // now: timestamp in milliseconds, when the last GIF frame ends
+    // Returns GIF file as a Uint8Array, WebM is saved once the recorder has finished
+    stop(now = (typeof performance !== 'undefined' ? performance.now() : Date.now())) {
+        let recording = this.recording;
+
+        if (!recording) {
+            return null;
+        }
+
+        this.recording = null;
+
+        if (recording.format === 'webm') {
+            let speaker = this.speaker;
+
+            recording.recorder.onstop = function() {
+                if (recording.audio) {
+                    speaker.gain.disconnect(recording.audio);
+                }
+
+                download(new Blob(recording.chunks, { type: recording.recorder.mimeType || 'video/webm' }), 'chip8.webm');
+            };
+
+            recording.recorder.stop();
+            return null;
+        }
+
+        // Stopped before a single frame was added
+        if (!recording.pending) {
+            return null;
+        }
+
+        this.encodeFrame(recording, now);
+
+        let gif = recording.encoder.finish();
+
+        if (typeof document !== 'undefined') {
+            download(new Blob([gif], { type: 'image/gif' }), 'chip8.gif');
+        }
+
+        return gif;
+    }
+
+    updateStatus() {
+        this.recordButton.textContent = this.recording ? 'Stop' : 'Record';
+        this.status.textContent = this.recording ? 'Recording ' + this.recording.format.toUpperCase() : '';
+    }
+
+    toggleRecording() {
+        try {
+            if (this.recording) {
+                this.stop();
+            } else {
+                this.record();
+            }
+        } catch (error) {
+            this.recording = null;
+            this.updateStatus();
+            this.status.textContent = error.message;
+            return;
+        }
+
+        this.updateStatus();
+    }
+
+    onScaleChange() {
+        let scale = parseInt(this.scaleInput.value, 10);
+
+        if (scale > 0) {
+            this.scale = scale;
+        } else {
+            this.scaleInput.value = this.scale;
+        }
+    }
+
+    onFormatChange() {
+        this.format = this.formatSelect.value;
+    }
+
+    onScreenshotClick() {
+        this.screenshot();
+    }
+
+    onRecordClick() {
+        this.toggleRecording();
+    }
+
+    onKeyDown(event) {
+        if (isEditable(event.target)) {
+            return;
+        }
+
+        if (event.code === this.screenshotKey) {
+            event.preventDefault();
+            this.screenshot();
+        } else if (event.code === this.recordKey) {
+            event.preventDefault();
+            this.toggleRecording();
+        }
+    }
+}
+
+// Display values (palette indexes) at width x height, each output pixel takes the display pixel it falls in
+// source: { display, cols, rows }, eg. a renderer
+function sample(source, width, height) {
+    let pixels = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        let row = Math.floor(y * source.rows / height) * source.cols;
+
+        for (let x = 0; x < width; x++) {
+            pixels[(y * width) + x] = source.display[row + Math.floor(x * source.cols / width)];
+        }
+    }
+
+    return pixels;
+}
+
+// Colours blended onto BACKDROP, as they look on the page
+function opaque(colors) {
+    return colors.map(function(color) {
+        let alpha = color[3] / 255;
+
+        return [0, 1, 2].map(channel => Math.round((color[channel] * alpha) + (BACKDROP[channel] * (1 - alpha)))).concat(255);
+    });
+}
+
+// Palette indexes to RGBA bytes
+function colorize(pixels, colors) {
+    let data = new Uint8ClampedArray(pixels.length * 4);
+
+    for (let i = 0; i < pixels.length; i++) {
+        data.set(colors[pixels[i]], i * 4);
+    }
+
+    return data;
+}
+
+function equal(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+export default Capture;
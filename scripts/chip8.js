@@ -4,50 +4,212 @@ import Renderer from "./renderer.js";
 import Keyboard from "./keyboard.js";
 import Speaker from "./speaker.js";
 import CPU from "./cpu.js";
+import QUIRKS from "./quirks.js";
+import RomPicker from "./rompicker.js";
+import SaveStates from "./savestate.js";
+import Rewind from "./rewind.js";
+import Debugger from "./debugger.js";
+import Editor from "./editor.js";
+import Scheduler from "./scheduler.js";
+import DisplaySettings from "./displaysettings.js";
+import KeyMapper from "./keymapper.js";
+import GamepadInput from "./gamepadinput.js";
+import TouchKeypad from "./touchkeypad.js";
+import AudioSettings from "./audiosettings.js";
+import FaultOverlay from "./faultoverlay.js";
+import Movie from "./movie.js";
+import Capture from "./capture.js";
 
 // Initialise renderer
 const renderer = new Renderer(10);
 
+// Initialise display settings panel
+const displaySettings = new DisplaySettings(renderer);
+
 // Initialise keyboard
 const keyboard = new Keyboard();
 
+// Initialise key remapping panel
+const keyMapper = new KeyMapper(keyboard);
+
+// Initialise on-screen keypad for touch screens
+const touchKeypad = new TouchKeypad(keyboard);
+
+// Initialise gamepads, they press keys through keyboard
+const gamepad = new GamepadInput(keyboard);
+
+// Initialise gamepad button mapping panel
+const gamepadMapper = new KeyMapper(gamepad, 'gamepad', 'button');
+
 // Initialise speaker
 const speaker = new Speaker();
 
+// Initialise audio settings panel
+const audioSettings = new AudioSettings(speaker);
+
 // Initialise CPU
-const cpu = new CPU(renderer, keyboard, speaker);
+// Bundled ROMs were written for SUPER-CHIP era interpreters
+const cpu = new CPU(renderer, keyboard, speaker, QUIRKS.SCHIP);
 
-// 60 frames per second
-let loop;
+// ROMs bundled in roms folder
+const ROMS = ['BLINKY', 'BLITZ'];
 
-let fps = 60, fpsInterval, startTime, now, then, elapsed;
+// Initialise fault overlay, shown when a program crashes the machine
+const faultOverlay = new FaultOverlay(cpu);
 
-function init() {
-    fpsInterval = 1000/fps;
-    then = Date.now();
-    startTime = then;
+// Initialise ROM picker
+const romPicker = new RomPicker(cpu, ROMS);
 
-    // TESTING CODE. REMOVE WHEN DONE TESTING
-    // renderer.testRender();
-    // renderer.render();
-    // END TESTING CODE
+// Each ROM has its own key and gamepad bindings
+romPicker.onLoad = function(romName) {
+    keyboard.setProfile(romName);
+    keyMapper.update();
 
-    cpu.loadSpritesIntoMemory();
-    cpu.loadRom('roms/BLINKY');
+    gamepad.setProfile(romName);
+    gamepadMapper.update();
+};
 
-    loop = requestAnimationFrame(step);
+// Initialise save state slots
+const saveStates = new SaveStates(cpu);
+
+// Initialise rewind buffer, hold Backspace to rewind
+const rewind = new Rewind(cpu);
+
+// Initialise input movie recording and replay
+const movie = new Movie(cpu);
+
+// Initialise screenshots and recordings, F8 takes a screenshot, F9 starts and stops recording
+const capture = new Capture(renderer, speaker);
+
+// Initialise debugger panel
+const debug = new Debugger(cpu);
+
+// Initialise assembler editor
+const editor = new Editor(cpu);
+
+// Restart current ROM
+document.querySelector('#reset').addEventListener('click', function() {
+    cpu.reset();
+}, false);
+
+// Fx0A waits for the key to be released as well as pressed, as on the COSMAC VIP
+// Quirk profiles are shared, so the CPU gets its own copy to change
+const keyRelease = document.querySelector('#key-release');
+
+keyRelease.addEventListener('change', function() {
+    cpu.quirks = Object.assign({}, cpu.quirks, { keyRelease: keyRelease.checked });
+}, false);
+
+// Platform the ROM was written for, picks the quirk profile
+// Memory size differs between profiles, so the machine is reset with the new one
+const platform = document.querySelector('#quirks-profile');
+
+for (let profile in QUIRKS) {
+    let option = document.createElement('option');
+    option.value = profile;
+    option.textContent = QUIRKS[profile].name;
+    platform.appendChild(option);
+}
+
+platform.addEventListener('change', function() {
+    cpu.quirks = QUIRKS[platform.value];
+    cpu.reset();
+}, false);
+
+// Show profile and key release quirk the machine has now, movies bring their own
+function showQuirks() {
+    for (let profile in QUIRKS) {
+        if (QUIRKS[profile].name === cpu.quirks.name) {
+            platform.value = profile;
+        }
+    }
+
+    keyRelease.checked = cpu.quirks.keyRelease;
 }
 
-function step() {
-    now = Date.now();
-    elapsed = now - then;
+showQuirks();
+
+// Rewind and trace belong to the run before a reset, rewinding would bring back the last ROM
+// A movie would not replay a reset (a different ROM, platform or power cycle too), so it ends there
+cpu.onReset = function() {
+    rewind.clear();
+    debug.clearTrace();
+    showQuirks();
+    movie.interrupt('a reset');
+};
+
+// Loading a save state or rewinding jumps to another point of the run, as far as a movie goes
+cpu.onRestore = function() {
+    movie.interrupt('loading a state');
+};
+
+// Instructions the debugger steps are not part of any frame a movie replays
+debug.onPause = function() {
+    movie.interrupt('the debugger');
+};
+
+// Switch machine off and on again, RPL flags are cleared as well
+document.querySelector('#power-cycle').addEventListener('click', function() {
+    cpu.powerCycle();
+}, false);
+
+// Runs CPU at 60 frames per second of real time
+const scheduler = new Scheduler(cpu);
 
-    if (elapsed > fpsInterval) {
-        // Cycle CPU
-        cpu.cycle();
+scheduler.onFrame = function(instructions) {
+    if (rewind.rewinding && !movie.active) {
+        // Step back a frame instead of running CPU
+        rewind.stepBack();
+    } else {
+        // Run frame of instructions and update timers
+        // Goes through movie so key events can be recorded or replayed
+        movie.frame(instructions);
+
+        // Keep frame so it can be rewound to
+        rewind.record();
     }
+};
+
+let loop;
+
+function init() {
+    // Resets CPU and loads first bundled ROM
+    romPicker.load(ROMS[0]);
 
     loop = requestAnimationFrame(step);
 }
 
+// now: timestamp passed in by requestAnimationFrame
+function step(now) {
+    // Ask for next step first, so an error in this one does not stop the loop
+    loop = requestAnimationFrame(step);
+
+    // Gamepads have no events, check their buttons every step
+    gamepad.poll();
+
+    // Run frames due since last step, however often the browser calls this
+    scheduler.update(now);
+
+    // No sound while paused
+    if (scheduler.speed > 0) {
+        cpu.playSound();
+    } else {
+        speaker.stop();
+    }
+
+    renderer.render();
+
+    // Add frame to any recording in progress
+    capture.update(now);
+
+    // Show latest registers and memory
+    debug.update();
+
+    // Show fault that stopped the machine, if any
+    faultOverlay.update();
+
+    // Show movie progress
+    movie.update();
+}
+
 init();
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Command line compatibility harness, run with Node
+// node scripts/compat.js roms
+// node scripts/compat.js roms --update saves golden images for new runs
+// node scripts/compat.js roms --overwrite also replaces golden images of failing runs
+// Exits with 1 if any run failed, faulted or has no golden image, unless its display was saved,
+// so it can be run on every change
+
+import Harness from "./harness.js";
+
+const args = process.argv.slice(2);
+const directory = args.find(arg => !arg.startsWith('--'));
+const overwrite = args.includes('--overwrite');
+const update = overwrite || args.includes('--update');
+
+if (!directory) {
+    console.error('Usage: node scripts/compat.js <rom directory> [--update | --overwrite]');
+    process.exit(1);
+}
+
+const results = new Harness(directory).check(update, overwrite);
+
+// Count of each status
+const totals = { pass: 0, fail: 0, fault: 0, new: 0 };
+
+for (let result of results) {
+    totals[result.status]++;
+
+    console.log(result.rom.padEnd(24) + result.profile.padEnd(12) + result.status.toUpperCase().padEnd(7) + result.detail);
+}
+
+console.log('\n' + totals.pass + ' passed, ' + totals.fail + ' failed, ' + totals.fault + ' faulted, ' + totals.new + ' new');
+
+if (results.some(result => result.status !== 'pass' && !result.saved)) {
+    process.exit(1);
+}
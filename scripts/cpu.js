@@ -6,14 +6,27 @@
 // Program counter that stores address currently being executed
 // Array to represent stack
 
+import QUIRKS from "./quirks.js";
+import decode, { identify } from "./opcodes.js";
+import instructionCycles, { VIP_CYCLES_PER_FRAME } from "./timing.js";
+import MachineFault, { FAULTS, STACK_DEPTH } from "./fault.js";
+import Random from "./random.js";
+import hex from "./hex.js";
+
+// Small font takes 80 bytes (16 sprites * 5 bytes) from 0x000
+// Large font follows it
+const LARGE_FONT_ADDRESS = 0x50;
+
 class CPU {
-    constructor(renderer, keyboard, speaker) {
+    // quirks: how ambiguous opcodes behave, one of the profiles in quirks.js
+    constructor(renderer, keyboard, speaker, quirks = QUIRKS.COSMAC_VIP) {
         this.renderer = renderer;
         this.keyboard = keyboard;
         this.speaker = speaker;
+        this.quirks = quirks;
 
-        // 4KB memory
-        this.memory = new Uint8Array(4096);
+        // 4KB memory, 64KB on XO-CHIP
+        this.memory = new Uint8Array(this.quirks.memorySize);
 
         // 16 8-bit registers
         this.v = new Uint8Array(16);
@@ -36,7 +49,195 @@ class CPU {
         // Some instructions require pausing, such as Fx0A
         this.paused = false;
 
-        this.speed = 10;
+        // Register Fx0A stores next key in, null when not waiting
+        this.keyWaitRegister = null;
+
+        // Key pressed while Fx0A waits, with keyRelease quirk Fx0A only finishes once it is released
+        this.keyWaitKey = null;
+
+        // Chip-8 keys as the program sees them, 1 while held down
+        // Updated from keyboard's queue of events during each frame, see deliverKeyEvent()
+        this.keys = new Uint8Array(16);
+
+        // Last program loaded into memory, reloaded by reset()
+        this.rom = null;
+
+        // Set by 00FD (SUPER-CHIP exit), machine stops executing instructions
+        this.exited = false;
+
+        // Random numbers for Cxkk, seed it to make a run repeatable
+        this.random = new Random();
+
+        // Strict: stop machine on faults, see fault.js
+        // Lenient: ignore faulting instructions, wrap addresses past the end of memory
+        this.strict = true;
+
+        // MachineFault that stopped the machine, null while running
+        this.fault = null;
+
+        // Called with the MachineFault when machine stops on one
+        this.onFault = null;
+
+        // Called after every reset, so history of the last run (rewind, trace) can be dropped
+        // Loading a ROM resets first, so it is called then too
+        this.onReset = null;
+
+        // Called after restore(), machine has jumped to another point of a run (save state or rewind)
+        this.onRestore = null;
+
+        // Address and opcode of instruction being executed, for fault reports
+        this.instructionPc = 0x200;
+        this.instructionOpcode = 0;
+
+        // XO-CHIP audio pattern buffer, 16 bytes (128 1-bit samples) loaded by F002
+        // Until a pattern is loaded, sound is the speaker's buzzer tone
+        this.audioPattern = null;
+
+        // XO-CHIP playback pitch set by Fx3A, 64 plays pattern at 4000 samples per second
+        this.pitch = 64;
+
+        // SUPER-CHIP RPL user flags, saved and loaded by Fx75 and Fx85
+        // HP-48 had 8 of them, XO-CHIP allows all 16 registers
+        this.rpl = new Uint8Array(16);
+
+        // Instructions executed per second, 600 is 10 per 60Hz frame
+        this.instructionsPerSecond = 600;
+
+        // Cycle-accurate COSMAC VIP timing, see timing.js
+        // Instructions run until the frame's machine cycles are used up, instructionsPerSecond is ignored
+        this.vipTiming = false;
+
+        // Machine cycles left in current frame, negative when last instruction overran it
+        this.cycleBudget = 0;
+
+        // Set by Dxyn with displayWait quirk or VIP timing, no more instructions run until next frame
+        this.waitingForVBlank = false;
+
+        // Debugger attached by debugger.js, null when not debugging
+        this.debugger = null;
+    }
+
+    // Put machine back into its starting state, like pressing reset
+    // Memory, registers, timers, stack, display, keys and sound are all cleared, font is reloaded
+    // reloadRom: load last ROM back into memory so it restarts, otherwise it is forgotten and memory left empty
+    // RPL user flags survive, as they did on the HP-48
+    reset(reloadRom = true) {
+        this.memory = new Uint8Array(this.quirks.memorySize);
+        this.v = new Uint8Array(16);
+        this.i = 0;
+
+        this.delayTimer = 0;
+        this.soundTimer = 0;
+
+        this.pc = 0x200;
+        this.stack = new Array();
+
+        this.paused = false;
+        this.exited = false;
+        this.fault = null;
+        this.keyWaitRegister = null;
+        this.keyWaitKey = null;
+        this.keys = new Uint8Array(16);
+
+        this.cycleBudget = 0;
+        this.waitingForVBlank = false;
+
+        this.audioPattern = null;
+        this.pitch = 64;
+
+        // Release keys and drop key events not yet delivered
+        this.keyboard.reset();
+
+        // Back to lores, plane 1, blank display
+        this.renderer.reset();
+
+        // Silence any tone still playing
+        this.speaker.stop();
+
+        this.loadSpritesIntoMemory();
+
+        if (!reloadRom) {
+            this.rom = null;
+        } else if (this.rom) {
+            this.loadProgramIntoMemory(this.rom);
+        }
+
+        if (this.onReset !== null) {
+            this.onReset();
+        }
+    }
+
+    // Reset as if machine was switched off and on again
+    // Unlike reset(), RPL user flags are lost too
+    powerCycle(reloadRom = true) {
+        this.rpl = new Uint8Array(16);
+
+        this.reset(reloadRom);
+    }
+
+    // Copy of complete machine state, see savestate.js
+    // Arrays are copied so later instructions do not change the snapshot
+    snapshot() {
+        return {
+            memory: this.memory.slice(),
+            v: this.v.slice(),
+            i: this.i,
+            pc: this.pc,
+            stack: this.stack.slice(),
+            delayTimer: this.delayTimer,
+            soundTimer: this.soundTimer,
+            paused: this.paused,
+            exited: this.exited,
+            keyWaitRegister: this.keyWaitRegister,
+            audioPattern: this.audioPattern ? this.audioPattern.slice() : null,
+            pitch: this.pitch,
+            rpl: this.rpl.slice(),
+            random: this.random.state,
+            display: this.renderer.snapshot()
+        };
+    }
+
+    // Put machine back into state taken by snapshot()
+    restore(snapshot) {
+        this.memory = snapshot.memory.slice();
+        this.v = snapshot.v.slice();
+        this.i = snapshot.i;
+        this.pc = snapshot.pc;
+        this.stack = snapshot.stack.slice();
+        this.delayTimer = snapshot.delayTimer;
+        this.soundTimer = snapshot.soundTimer;
+        this.paused = snapshot.paused;
+        this.exited = snapshot.exited;
+        this.fault = null;
+        this.audioPattern = snapshot.audioPattern ? snapshot.audioPattern.slice() : null;
+        this.pitch = snapshot.pitch;
+        this.rpl = snapshot.rpl.slice();
+
+        // Save states from before the seedable RNG carry on with current numbers
+        if (snapshot.random !== undefined) {
+            this.random.seed(snapshot.random);
+        }
+
+        this.renderer.restore(snapshot.display);
+
+        // Resume waiting for Fx0A key, or stop waiting if snapshot was not
+        // Keys are released, keys held now are pressed again from scratch
+        this.keyboard.reset();
+        this.keys = new Uint8Array(16);
+        this.keyWaitRegister = null;
+
+        if (snapshot.keyWaitRegister !== null) {
+            this.waitForKey(snapshot.keyWaitRegister);
+        }
+
+        // Machine changed without running an instruction, debugger panel has to show it
+        if (this.debugger) {
+            this.debugger.invalidate();
+        }
+
+        if (this.onRestore !== null) {
+            this.onRestore();
+        }
     }
 
     loadSpritesIntoMemory() {
@@ -66,9 +267,42 @@ class CPU {
         for (let i = 0; i < sprites.length; i++) {
             this.memory[i] = sprites[i];
         }
+
+        // SUPER-CHIP large font, used by Fx30
+        // Each sprite is 10 bytes (8x10 pixels)
+        // SUPER-CHIP only had 0-9, A-F come from XO-CHIP
+        const largeSprites = [
+            0x3C, 0x7E, 0xE7, 0xC3, 0xC3, 0xC3, 0xC3, 0xE7, 0x7E, 0x3C, // 0
+            0x18, 0x38, 0x58, 0x18, 0x18, 0x18, 0x18, 0x18, 0x18, 0x3C, // 1
+            0x3E, 0x7F, 0xC3, 0x06, 0x0C, 0x18, 0x30, 0x60, 0xFF, 0xFF, // 2
+            0x3C, 0x7E, 0xC3, 0x03, 0x0E, 0x0E, 0x03, 0xC3, 0x7E, 0x3C, // 3
+            0x06, 0x0E, 0x1E, 0x36, 0x66, 0xC6, 0xFF, 0xFF, 0x06, 0x06, // 4
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFC, 0xFE, 0x03, 0xC3, 0x7E, 0x3C, // 5
+            0x3E, 0x7C, 0xE0, 0xC0, 0xFC, 0xFE, 0xC3, 0xC3, 0x7E, 0x3C, // 6
+            0xFF, 0xFF, 0x03, 0x06, 0x0C, 0x18, 0x30, 0x60, 0x60, 0x60, // 7
+            0x3C, 0x7E, 0xC3, 0xC3, 0x7E, 0x7E, 0xC3, 0xC3, 0x7E, 0x3C, // 8
+            0x3C, 0x7E, 0xC3, 0xC3, 0x7F, 0x3F, 0x03, 0x03, 0x3E, 0x7C, // 9
+            0x7E, 0xFF, 0xC3, 0xC3, 0xC3, 0xFF, 0xFF, 0xC3, 0xC3, 0xC3, // A
+            0xFC, 0xFC, 0xC3, 0xC3, 0xFC, 0xFC, 0xC3, 0xC3, 0xFC, 0xFC, // B
+            0x3C, 0xFF, 0xC3, 0xC0, 0xC0, 0xC0, 0xC0, 0xC3, 0xFF, 0x3C, // C
+            0xFC, 0xFE, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xC3, 0xFE, 0xFC, // D
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, // E
+            0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xC0, 0xC0  // F
+        ];
+
+        // Stored straight after the small font
+        for (let i = 0; i < largeSprites.length; i++) {
+            this.memory[LARGE_FONT_ADDRESS + i] = largeSprites[i];
+        }
     }
 
+    // Throws if program does not fit in memory from 0x200, rather than cutting it short
     loadProgramIntoMemory(program) {
+        this.checkProgramSize(program);
+
+        // Keep a copy so reset() can load it again
+        this.rom = new Uint8Array(program);
+
         // Loop through contents of program
         // Store in memory
         for (let loc = 0; loc < program.length; loc++) {
@@ -77,25 +311,60 @@ class CPU {
         }
     }
 
-    loadRom(romName) {
-        // Grab ROM from filesystem before loading into memory
-        var request = new XMLHttpRequest;
+    // Throws if program is too large for memory after 0x200, 3584 bytes with 4KB of memory
+    // Lets a ROM be checked before resetting for it, so the current one keeps running
+    checkProgramSize(program) {
+        let room = this.memory.length - 0x200;
+
+        if (program.length > room) {
+            throw new Error('ROM is ' + program.length + ' bytes, only ' + room + ' fit in memory');
+        }
+    }
+
+    // rom: file name within roms folder, or the ROM bytes themselves (Uint8Array/ArrayBuffer)
+    // Passing bytes skips the request, which lets the CPU run without a browser
+    loadRom(rom) {
+        if (typeof rom !== 'string') {
+            this.loadProgramIntoMemory(new Uint8Array(rom));
+            return;
+        }
+
         var self = this;
 
+        this.fetchRom(rom, function(error, program) {
+            if (!error) {
+                self.loadProgramIntoMemory(program);
+            }
+        });
+    }
+
+    // Request ROM from roms folder without touching the machine
+    // callback: called with (null, bytes) once it arrives, or (Error) if it cannot be loaded
+    // Lets RomPicker keep the current ROM running until the new one is here
+    fetchRom(name, callback) {
+        // Grab ROM from filesystem
+        var request = new XMLHttpRequest;
+
         // Handles response received from sending (request.send()) request
         request.onload = function() {
+            // Pages opened from disk get status 0 rather than 200
+            let ok = (request.status === 0 || (request.status >= 200 && request.status < 300));
+
             // If request response has content
-            if (request.response) {
+            if (ok && request.response && request.response.byteLength > 0) {
                 // Store contents of response in 8-bit array
-                let program = new Uint8Array(request.response);
-
-                // Load ROM/program into memory
-                self.loadProgramIntoMemory(program);
+                callback(null, new Uint8Array(request.response));
+            } else {
+                callback(new Error('Could not load ROM ' + name + ' (' + request.status + ')'));
             }
         }
 
+        request.onerror = function() {
+            callback(new Error('Could not load ROM ' + name));
+        }
+
         // Initialize GET request to retrieve ROM from roms folder
-        request.open('GET', 'roms/' + romName);
+        request.open('GET', 'roms/' + name);
         request.responseType = 'arraybuffer';
 
         // Send GET request
@@ -103,37 +372,196 @@ class CPU {
     }
 
     // CPU cycle handles execution of instructions
-    // Called in step() in chip8.js, executed about 60 times per second
+    // Runs a single 60Hz frame, then plays sound and renders
+    // Handy when driving the CPU directly (eg. under Node), the page uses Scheduler instead
     cycle() {
+        this.frame(Math.round(this.instructionsPerSecond / 60));
+
+        this.playSound();
+        this.renderer.render();
+    }
+
+    // One 60Hz frame: execute instructions, then update timers
+    // Called by Scheduler in scheduler.js 60 times per emulated second
+    // instructions: how many to run, ignored with VIP timing
+    // events: key presses and releases for this frame, see Keyboard.takeEvents()
+    // Taken from keyboard unless given, movie.js passes recorded ones in
+    frame(instructions, events = null) {
+        // Debugger has stopped the machine, nothing runs until it resumes or steps
+        if (this.debugger && this.debugger.paused) {
+            return;
+        }
+
+        // New frame, vertical blank has happened
+        this.waitingForVBlank = false;
+
+        // Cycles left over are lost at vertical blank, an overrun is carried into this frame
+        this.cycleBudget = Math.min(this.cycleBudget, 0) + VIP_CYCLES_PER_FRAME;
+
+        // Key presses and releases since last frame
+        // Each is delivered once the frame has got as far as when it happened
+        events = events ? events.slice() : this.keyboard.takeEvents();
+
         // Handles execution of instructions
-        // Higher speed, more instructions executed per cycle
-        for (let i = 0; i < this.speed; i++) {
+        // Higher speed, more instructions executed per frame
+        for (let i = 0; this.vipTiming ? this.cycleBudget > 0 : i < instructions; i++) {
+            // How far through frame, 0 to 1
+            let progress = this.vipTiming ? 1 - (this.cycleBudget / VIP_CYCLES_PER_FRAME) : i / instructions;
+
+            // While Fx0A waits nothing else happens, so events are delivered until it finishes
+            while (events.length > 0 && (events[0].at <= progress || this.paused)) {
+                this.deliverKeyEvent(events.shift());
+            }
+
             // Instructions should only be executed when emulator is running
-            if (!this.paused) {
-                // Each instruction is 16 bits (2 bytes) long
-                // Memory made of 8 bit (1 byte) pieces
-                // Have to combine 2 pieces of memory to get full opcode (this.pc and this.pc + 1)
-
-                // To combine
-                // Shift first piece of memory 8 bits left to make it 2 bytes long
-                // Add 2 '0's / hex value 0x00 onto RHS
-                // eg. 0x11 -> 0x1100
-                // Bitwise OR |
-                // PC = 0x10 -> shift 8 bits left 0x1000
-                // PC + 1 = 0xF0
-                // 0x1000 | 0xF0 = 0x10F0
-                let opcode = (this.memory[this.pc] << 8 | this.memory[this.pc + 1]);
-                this.executeInstruction(opcode);
+            if (this.paused || this.exited || this.fault || this.waitingForVBlank) {
+                break;
+            }
+
+            // Stop before instruction if it hits a breakpoint
+            if (this.debugger && this.debugger.shouldBreak(this.pc, this.fetchOpcode())) {
+                break;
+            }
+
+            let opcode = this.fetchOpcode();
+            let pc = this.pc;
+
+            this.stepInstruction();
+
+            if (this.vipTiming) {
+                // Skips move PC 4 (or 6 past F000 nnnn) instead of 2
+                // Only counted for skip instructions, so jumps forward do not matter
+                let skipped = this.pc > pc + 2 && opcode !== 0xF000;
+                this.cycleBudget -= instructionCycles(opcode, skipped);
+            }
+
+            // Stop after instruction if it wrote to a watched address
+            if (this.debugger && this.debugger.paused) {
+                break;
             }
         }
 
-        // Update timers when emulator is running (not paused)
-        if (!this.paused) {
+        // Events left once frame stops early, eg. at vertical blank
+        for (let event of events) {
+            this.deliverKeyEvent(event);
+        }
+
+        // Update timers when emulator is running
+        // Timers carry on while Fx0A waits for a key
+        if (!this.exited && !this.fault) {
             this.updateTimers();
         }
+    }
 
-        this.playSound();
-        this.renderer.render();
+    // Update keys the program sees with a press or release from Keyboard.takeEvents()
+    // Finishes a waiting Fx0A on press, or on release with the keyRelease quirk
+    deliverKeyEvent(event) {
+        this.keys[event.key] = event.pressed ? 1 : 0;
+
+        if (this.keyWaitRegister === null) {
+            return;
+        }
+
+        if (event.pressed) {
+            if (!this.quirks.keyRelease) {
+                this.finishKeyWait(event.key);
+            } else if (this.keyWaitKey === null) {
+                this.keyWaitKey = event.key;
+            }
+        } else if (event.key === this.keyWaitKey) {
+            this.finishKeyWait(event.key);
+        }
+    }
+
+    // Opcode stored at program counter
+    fetchOpcode() {
+        // Each instruction is 16 bits (2 bytes) long
+        // Memory made of 8 bit (1 byte) pieces
+        // Have to combine 2 pieces of memory to get full opcode (this.pc and this.pc + 1)
+
+        // To combine
+        // Shift first piece of memory 8 bits left to make it 2 bytes long
+        // Add 2 '0's / hex value 0x00 onto RHS
+        // eg. 0x11 -> 0x1100
+        // Bitwise OR |
+        // PC = 0x10 -> shift 8 bits left 0x1000
+        // PC + 1 = 0xF0
+        // 0x1000 | 0xF0 = 0x10F0
+        return (this.memory[this.pc] << 8 | this.memory[this.pc + 1]);
+    }
+
+    // Fetch and execute a single instruction
+    // Used by cycle() and by the debugger to single-step
+    // Stops the machine if the instruction faults in strict mode
+    stepInstruction() {
+        try {
+            // Instruction has to fit in memory
+            if (this.pc + 1 >= this.memory.length) {
+                this.instructionPc = this.pc;
+                this.instructionOpcode = this.fetchOpcode();
+
+                this.raise(FAULTS.PC_OUT_OF_BOUNDS);
+                this.pc %= this.memory.length;
+            }
+
+            let opcode = this.fetchOpcode();
+
+            this.instructionPc = this.pc;
+            this.instructionOpcode = opcode;
+
+            // Debugger keeps a trace of executed instructions
+            if (this.debugger) {
+                this.debugger.onExecute(this.pc, opcode);
+            }
+
+            this.executeInstruction(opcode);
+        } catch (error) {
+            if (!(error instanceof MachineFault)) {
+                throw error;
+            }
+
+            this.fault = error;
+
+            if (this.onFault !== null) {
+                this.onFault(error);
+            }
+        }
+    }
+
+    // Report fault in instruction being executed
+    // Strict mode stops here, lenient mode returns so the instruction can carry on
+    raise(type, detail) {
+        if (this.strict) {
+            throw new MachineFault(type, this.instructionPc, this.instructionOpcode, detail);
+        }
+    }
+
+    // Address an instruction reads or writes, checked against size of memory
+    // Wraps around to the start of memory in lenient mode
+    checkAddress(address) {
+        if (address >= this.memory.length) {
+            this.raise(FAULTS.MEMORY_OUT_OF_BOUNDS, 'address ' + hex(address, 4));
+            address %= this.memory.length;
+        }
+
+        return address;
+    }
+
+    // Read a byte from memory on behalf of an instruction (Dxyn, Fx65, 5xy3, F002)
+    readMemory(address) {
+        return this.memory[this.checkAddress(address)];
+    }
+
+    // Store a byte in memory on behalf of an instruction (Fx33, Fx55, 5xy2)
+    // Lets the debugger break on writes to watched addresses
+    writeMemory(address, value) {
+        address = this.checkAddress(address);
+
+        this.memory[address] = value;
+
+        if (this.debugger) {
+            this.debugger.onMemoryWrite(address, value);
+        }
     }
 
     // Each timer, delay and sound, decrement by 1 at 60Hz
@@ -158,7 +586,11 @@ class CPU {
     // play() from Speaker class
     playSound() {
         if (this.soundTimer > 0){
-            this.speaker.play(440);
+            if (this.audioPattern) {
+                this.speaker.playPattern(this.audioPattern, this.pitch);
+            } else {
+                this.speaker.play();
+            }
         } else {
             this.speaker.stop();
         }
@@ -173,40 +605,36 @@ class CPU {
         // Each instruction is 2 bytes long, increment by 2
         this.pc += 2;
 
-        // nnn or addr - A 12-bit value, the lowest 12 bits of the instruction
-        // n or nibble - A 4-bit value, the lowest 4 bits of the instruction
-        // x - A 4-bit value, the lower 4 bits of the high byte of the instruction
-        // y - A 4-bit value, the upper 4 bits of the low byte of the instruction
-        // kk or byte - An 8-bit value, the lowest 8 bits of the instruction
+        // Not an instruction on this platform, see OPCODES in opcodes.js
+        // Lenient mode skips it
+        if (identify(opcode, this.quirks.instructions) === null) {
+            this.raise(FAULTS.UNKNOWN_OPCODE);
+            return;
+        }
 
         // x and y are used by nearly every instruction
-        // 4 bits (hald a byte/nibble) each
-        // eg. instruction 0x5460
-        // High byte: 0x54
-        // Low byte: 0x60
-        // Lower 4 bits of high byte: 0x4
-        // Upper 4 bits of low byte: 0x6
-        // x = 0x4, y = 0x6
-
-        // Only need 2nd nibble, grab value of 2nd nibble
-        // Shift it right 8 bits to remove everything but that 2nd nibble
-        let x = (opcode & 0x0F00) >> 8;
-
-        // Only need 3rd nibble, grab value of 3rd nibble
-        // Shift it right 4 bits to remove everything but that 3rd nibble
-        let y = (opcode & 0x00F0) >> 4;
-        
-        // eg. instruction 0x5460
-        // & (bitwise AND) instruction with hex value 0x0F00 -> 0x0400
-        // Shift 8 bits right -> 0x04 or 0x4
-        // & instruction with 0x00F0 -> 0x0060
-        // Shift 4 bits right -> 0x006 or 0x6
+        // See opcodes.js for how they are packed into opcode
+        let { x, y } = decode(opcode);
 
         // Upper 4 bits
         switch (opcode & 0xF000) {
             // 0nnn - SYS addr can be ignored
             
             case 0x0000:
+                // 00Cn - SCD nibble
+                if ((opcode & 0xFFF0) === 0x00C0) {
+                    // Scroll display down n pixels
+                    this.renderer.scrollDown(opcode & 0xF);
+                    break;
+                }
+
+                // 00Dn - SCU nibble
+                if ((opcode & 0xFFF0) === 0x00D0) {
+                    // XO-CHIP, scroll display up n pixels
+                    this.renderer.scrollUp(opcode & 0xF);
+                    break;
+                }
+
                 switch (opcode) {
                     // CLS
                     case 0x00E0:
@@ -215,6 +643,12 @@ class CPU {
                         break;
                     // RET
                     case 0x00EE:
+                        // Nowhere to return to, ignored in lenient mode
+                        if (this.stack.length === 0) {
+                            this.raise(FAULTS.STACK_UNDERFLOW);
+                            break;
+                        }
+
                         // Pop last element in stack array and store it in this.pc
                         // Return from subroutine
                         this.pc = this.stack.pop();
@@ -222,6 +656,33 @@ class CPU {
                         // Also subtracts 1 from stack pointer
                         // Stack pointer points to topmost level of stack
                         // Top of stack handled by stack array
+                    // 00FB - SCR
+                    case 0x00FB:
+                        // Scroll display right 4 pixels
+                        this.renderer.scrollRight(4);
+                        break;
+                    // 00FC - SCL
+                    case 0x00FC:
+                        // Scroll display left 4 pixels
+                        this.renderer.scrollLeft(4);
+                        break;
+                    // 00FD - EXIT
+                    case 0x00FD:
+                        // Exit interpreter, stop executing instructions
+                        this.exited = true;
+                        break;
+                    // 00FE - LOW
+                    case 0x00FE:
+                        // Disable high resolution mode (64x32)
+                        this.renderer.setResolution(false);
+                        break;
+                    // 00FF - HIGH
+                    case 0x00FF:
+                        // Enable high resolution mode (128x64)
+                        this.renderer.setResolution(true);
+                        break;
+                    // 0nnn - SYS addr
+                    // Machine code routines cannot be run, left alone as other interpreters do
                 }
             
                 break;
@@ -234,6 +695,12 @@ class CPU {
                 break;
             // 2nnn - CALL addr
             case 0x2000:
+                // Stack is full, oldest return address is lost in lenient mode
+                if (this.stack.length >= STACK_DEPTH) {
+                    this.raise(FAULTS.STACK_OVERFLOW);
+                    this.stack.shift();
+                }
+
                 // Push this.pc onto stack
                 this.stack.push(this.pc);
                 this.pc = (opcode & 0xFFF);
@@ -245,21 +712,42 @@ class CPU {
                 // If equal, increment program counter by 2, skipping next instruction
                 // Grab last byte of opcode (kk)
                 if (this.v[x] === (opcode & 0XFF)) {
-                    this.pc += 2;
+                    this.skipNextInstruction();
                 }
                 break;
             // 4xkk - SNE Vx, byte
             case 0x4000:
                 // Skips the next instruction if Vx and kk are not equal
                 if (this.v[x] !== (opcode & 0XFF)) {
-                    this.pc += 2;
+                    this.skipNextInstruction();
                 }
                 break;
-            // 5xy0 - SE Vx, Vy
             case 0x5000:
-                // Skip next intruction if Vx equals Vy
-                if (this.v[x] === this.v[y]) {
-                    this.pc += 2;
+                switch (opcode & 0xF) {
+                    // 5xy0 - SE Vx, Vy
+                    case 0x0:
+                        // Skip next intruction if Vx equals Vy
+                        if (this.v[x] === this.v[y]) {
+                            this.skipNextInstruction();
+                        }
+                        break;
+                    // 5xy2 - LD [I], Vx - Vy
+                    case 0x2:
+                        // XO-CHIP, store registers Vx through Vy in memory starting at I
+                        // Registers are stored in reverse when x > y, I is left untouched
+                        for (let offset = 0; offset <= Math.abs(x - y); offset++) {
+                            let registerIndex = (x <= y) ? x + offset : x - offset;
+                            this.writeMemory(this.i + offset, this.v[registerIndex]);
+                        }
+                        break;
+                    // 5xy3 - LD Vx - Vy, [I]
+                    case 0x3:
+                        // XO-CHIP, read registers Vx through Vy from memory starting at I
+                        for (let offset = 0; offset <= Math.abs(x - y); offset++) {
+                            let registerIndex = (x <= y) ? x + offset : x - offset;
+                            this.v[registerIndex] = this.readMemory(this.i + offset);
+                        }
+                        break;
                 }
                 break;
             // 6xkk - LD Vx, byte
@@ -285,16 +773,28 @@ class CPU {
                     case 0x1:
                         // Set Vx to value of Vx OR Vy
                         this.v[x] |= this.v[y];
+
+                        if (this.quirks.vfReset) {
+                            this.v[0xF] = 0;
+                        }
                         break;
                     // 8xy2 - AND Vx, Vy
                     case 0x2:
                         // Set Vx equal to value of Vx & Vy
                         this.v[x] &= this.v[y];
+
+                        if (this.quirks.vfReset) {
+                            this.v[0xF] = 0;
+                        }
                         break;
                     // 8xy3 - XOR Vx, Vy
                     case 0x3:
                         // Set Vx equal to value of Vx XOR Vy
                         this.v[x] ^= this.v[y];
+
+                        if (this.quirks.vfReset) {
+                            this.v[0xF] = 0;
+                        }
                         break;
                     // 8xy4 - ADD Vx, Vy
                     case 0x4:
@@ -302,17 +802,13 @@ class CPU {
                         // If result > 8 bits (255), VF set to 1
                         // Otherwise 0
                         // Only lowest 8 bits of result are kept and stored in Vx
-                        let sum = (this.v[x] += this.v[y]);
+                        let sum = this.v[x] + this.v[y];
 
-                        // VF
-                        this.v[0xF] = 0;
+                        this.v[x] = sum;
 
+                        // VF is set after the result, so the flag wins when x is F
                         // 0xFF = 255
-                        if (sum > 0xFF) {
-                            this.v[0xF] = 1;
-                        }
-
-                        this.v[x] = sum;
+                        this.v[0xF] = (sum > 0xFF) ? 1 : 0;
 
                         // this.v is Unit8Array
                         // Any value over 8 bits automatically has lower, rightmost, 8 bits taken and stored in array
@@ -328,13 +824,11 @@ class CPU {
                         // Need handle underflow
                         // -1 -> 255
                         // -2 -> 254, etc.
-                        this.v[0xF] = 0;
-
-                        if (this.v[x] > this.v[y]) {
-                            this.v[0xF] = 1;
-                        }
+                        // VF is NOT borrow, so it is 1 when Vx and Vy are equal as well
+                        let notBorrow = (this.v[x] >= this.v[y]) ? 1 : 0;
 
                         this.v[x] -= this.v[y];
+                        this.v[0xF] = notBorrow;
                         break;
                     // 8xy6 - SHR Vx {,Vy}
                     case 0x6:
@@ -342,21 +836,24 @@ class CPU {
                         // Set VF accordingly
                         // If Vx is 1001, VF set to 1 since least-significant bit is 1
                         // If Vx is 1000, VF set to 0
-                        this.v[0xF] = (this.v[x] & 0x1);
+                        // Without shifting quirk, Vy is shifted and the result stored in Vx
+                        if (!this.quirks.shifting) {
+                            this.v[x] = this.v[y];
+                        }
+
+                        let shiftedOut = (this.v[x] & 0x1);
 
                         this.v[x] >>= 1;
+                        this.v[0xF] = shiftedOut;
                         break;
                     // 8xy7 - SUBN Vx, Vy
                     case 0x7:
                         // Subtracts Vx from Vy
                         // Stores result in Vx
-                        this.v[0xF] = 0;
-
-                        if (this.v[y] > this.v[x]) {
-                            this.v[0xF] = 1;
-                        }
+                        let notBorrowN = (this.v[y] >= this.v[x]) ? 1 : 0;
 
                         this.v[x] = this.v[y] - this.v[x];
+                        this.v[0xF] = notBorrowN;
                         break;
                     // 8xyE - SHL Vx {, Vy}
                     case 0xE:
@@ -366,9 +863,15 @@ class CPU {
                         // Grab most significant bit of Vx and store in VF
                         // Vx, 8-bit register
                         // To get most significant (leftmost) bit, AND Vx with 10000000 (0x80 in hex)
-                        this.v[0xF] = (this.v[x] & 0x80);
+                        // Shift it down 7 bits so VF is 0 or 1 rather than 0x80
+                        if (!this.quirks.shifting) {
+                            this.v[x] = this.v[y];
+                        }
+
+                        let mostSignificant = (this.v[x] & 0x80) >> 7;
                         // Multiply Vx by 2 by shifting left 1
                         this.v[x] <<= 1;
+                        this.v[0xF] = mostSignificant;
                         break;
                 }
 
@@ -377,7 +880,7 @@ class CPU {
             case 0x9000:
                 // Increments program counter by 2 if Vx and Vy are not equal
                 if (this.v[x] !== this.v[y]) {
-                    this.pc += 2;
+                    this.skipNextInstruction();
                 }
                 break;
             // Annn - LD I, addr
@@ -389,12 +892,17 @@ class CPU {
             // Bnnn - JP V0, addr
             case 0xB000:
                 // Set program counter to nnn + value of register 0 (V0)
-                this.pc = (opcode & 0xFFF) + this.v[0];
+                // With jumping quirk (Bxnn), register x is used instead of V0
+                if (this.quirks.jumping) {
+                    this.pc = (opcode & 0xFFF) + this.v[x];
+                } else {
+                    this.pc = (opcode & 0xFFF) + this.v[0];
+                }
                 break;
             // Cxkk - RND Vx, byte
             case 0xC000:
                 // Generate random number 0-255
-                let rand = Math.floor(Math.random() * 0xFF);
+                let rand = this.random.nextByte();
 
                 // AND with lowest byte of opcode
                 // eg. 0xB849 & 0xFF -> 0x49
@@ -410,7 +918,15 @@ class CPU {
                 // If opcode is 0xD235, height set to 5
                 let height = (opcode & 0xF);
 
-                this.v[0xF] = 0;
+                // Dxy0 - DRW Vx, Vy, 0
+                // SUPER-CHIP draws a 16x16 sprite, each row is 2 bytes
+                if (height === 0) {
+                    width = 16;
+                    height = 16;
+                }
+
+                // Number of bytes each row of sprite takes in memory
+                let bytesPerRow = width / 8;
 
                 // A sprite looks like this
                 // 11110000
@@ -419,33 +935,46 @@ class CPU {
                 // 10010000
                 // 11110000
 
-                // Go through each row
-                for (let row = 0; row < height; row++) {
-                    // Grab 8-bit memory (single row of sprite) stored at this.i + row
-                    // Start at address stored in i
-                    let sprite = this.memory[this.i + row];
-
-                    // Go through bit by bit (column by column)
-                    for (let col = 0; col < width; col++) {
-                        // Grab leftmost bit
-                        // If bit (sprite) is not 0, render/erase pixel
-                        // 0 -> sprite does not have pixel at location
-                        if ((sprite & 0x80) > 0) {
-                            // Input for setPixel() is position to draw/erase pixel
-                            // If setPixel returns 1 -> erase pixel, set VF to 1
-                            // If 0 -> nothing, VF = 0
-                            if (this.renderer.setPixel(this.v[x] + col, this.v[y] + row)) {
-                                // Pixels erased
-                                this.v[0xF] = 1;
-                            }
+                // Read before VF is reset, x or y may be F
+                // Starting position wraps around the screen in drawSprite
+                let startX = this.v[x];
+                let startY = this.v[y];
+
+                this.v[0xF] = 0;
+
+                // XO-CHIP draws into each selected plane in turn
+                // Sprite data for each plane follows the previous plane's
+                let spriteAddress = this.i;
+
+                for (let plane = 1; plane <= 2; plane <<= 1) {
+                    if (!(this.renderer.planes & plane)) {
+                        continue;
+                    }
+
+                    // Grab each row of the sprite from memory, starting at address stored in i
+                    // 16-bit rows combine 2 bytes, same as building an opcode
+                    let rows = [];
+
+                    for (let row = 0; row < height; row++) {
+                        let sprite = 0;
+                        for (let b = 0; b < bytesPerRow; b++) {
+                            sprite = (sprite << 8) | this.readMemory(spriteAddress + (row * bytesPerRow) + b);
                         }
+                        rows.push(sprite);
+                    }
 
-                        // Shift sprite left by 1 bit
-                        // This moves next col/bit of sprite into first position (can go through each bit)
-                        // eg. 10010000 << 1 -> 0010000
-                        // Then go through another iteration of inner for loop to determine whether to draw pixel
-                        sprite <<= 1;
+                    // With clipping quirk, pixels past the edges are not drawn, otherwise they wrap
+                    // If any pixel is erased set VF to 1
+                    if (this.renderer.drawSprite(startX, startY, rows, width, plane, this.quirks.clipping)) {
+                        this.v[0xF] = 1;
                     }
+
+                    spriteAddress += height * bytesPerRow;
+                }
+
+                // Original interpreter waited for vertical blank before drawing
+                if (this.quirks.displayWait || this.vipTiming) {
+                    this.waitingForVBlank = true;
                 }
                 break;
             case 0xE000:
@@ -454,21 +983,41 @@ class CPU {
                     case 0x9E:
                         // Skips next instruction if key stored in Vx is pressed
                         // Increment program counter by 2
-                        if (this.keyboard.isKeyPressed(this.v[x])) {
-                            this.pc += 2;
+                        if (this.keys[this.v[x]]) {
+                            this.skipNextInstruction();
                         }
                         break;
                     // ExA1 - SKNP Vx
                     case 0xA1:
                         // If specified key is not pressed, skip next instruction
-                        if (!this.keyboard.isKeyPressed(this.v[x])) {
-                            this.pc += 2;
+                        if (!this.keys[this.v[x]]) {
+                            this.skipNextInstruction();
                         }
                         break;
                 }
                 break;
             case 0xF000:
                 switch (opcode & 0xFF) {
+                    // F000 nnnn - LD I, long addr
+                    // Fn01 - PLANE n
+                    // F002 - AUDIO
+                    // XO-CHIP, only F000 and F002 exist with x = 0
+                    case 0x00:
+                        // Instruction is 4 bytes long, address is the 16 bits after it
+                        this.i = (this.memory[this.pc] << 8 | this.memory[this.pc + 1]);
+                        this.pc += 2;
+                        break;
+                    case 0x01:
+                        // Select bitplanes to draw, clear and scroll
+                        this.renderer.selectPlanes(x);
+                        break;
+                    case 0x02:
+                        // Load 16 bytes from I into audio pattern buffer
+                        this.audioPattern = new Uint8Array(16);
+                        for (let offset = 0; offset < 16; offset++) {
+                            this.audioPattern[offset] = this.readMemory(this.i + offset);
+                        }
+                        break;
                     // Fx07 - LD Vx, DT
                     case 0x07:
                         // Set Vx to value stored in delayTimer
@@ -476,15 +1025,7 @@ class CPU {
                         break;
                     // Fx0A - LD Vx, K
                     case 0x0A:
-                        // Pauses emulator until a key is pressed
-                        this.paused = true;
-
-                        // Initialise onNextKeyPress() (null in keyboard.js)
-                        this.keyboard.onNextKeyPress = function(key) {
-                            // Set Vx to pressed key's keycode
-                            this.v[x] = key;
-                            this.paused = false;
-                        }.bind(this);
+                        this.waitForKey(x);
                         break;
                     // Fx15 - LD DT, Vx
                     case 0x15:
@@ -500,12 +1041,25 @@ class CPU {
                     case 0x1E:
                         // Add Vx to I
                         this.i += this.v[x];
+
+                        // I only has 16 bits, points past memory before that on 4KB machines
+                        if (this.i >= this.memory.length) {
+                            this.raise(FAULTS.I_OUT_OF_BOUNDS, 'I ' + hex(this.i, 4));
+                            this.i %= this.memory.length;
+                        }
                         break;
                     // Fx29 - LD F, Vx - ADD I, Vx
                     case 0x29:
                         // Set I to location of sprite at Vx
                         // Multiplied by 5 as each sprite is 5 bytes long
-                        this.i = this.v[x] * 5;
+                        // Only lowest nibble of Vx is a hex digit
+                        this.i = (this.v[x] & 0xF) * 5;
+                        break;
+                    // Fx30 - LD HF, Vx
+                    case 0x30:
+                        // Set I to location of large (8x10) sprite for digit Vx
+                        // Multiplied by 10 as each large sprite is 10 bytes long
+                        this.i = LARGE_FONT_ADDRESS + (this.v[x] & 0xF) * 10;
                         break;
                     // Fx33 - LD B, Vx
                     case 0x33:
@@ -513,40 +1067,99 @@ class CPU {
                         // Store them in registers I, I+1, I+2
 
                         // Get hundreds digit and place it in I
-                        this.memory[this.i] = parseInt(this.v[x] / 100);
+                        this.writeMemory(this.i, parseInt(this.v[x] / 100));
 
                         // Get tens digit and place it in I+1
                         // Get a value between 0 and 99, then divide by 10 to give value between 0 and 9
-                        this.memory[this.i + 1] = parseInt((this.v[x] % 100) / 10);
+                        this.writeMemory(this.i + 1, parseInt((this.v[x] % 100) / 10));
 
                         // Get value of ones (last) digit and place it in I+2
-                        this.memory[this.i + 2] = parseInt(this.v[x] % 10);
+                        this.writeMemory(this.i + 2, parseInt(this.v[x] % 10));
                         break;
                     // Fx55 - LD [I], Vx
                     case 0x55:
                         // Loop through registers V0 through Vx and store value in memory starting at I
                         for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
-                            this.memory[this.i + registerIndex] = this.v[registerIndex];
+                            this.writeMemory(this.i + registerIndex, this.v[registerIndex]);
                         }
+
+                        this.incrementIAfterMemory(x);
                         break;
                     // Fx65 - LD Vx, [I]
                     case 0x65:
                         // Reads values from memory starting at I and stores them in registers V0 through Vx
                         for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
-                            this.v[registerIndex] = this.memory[this.i + registerIndex];
+                            this.v[registerIndex] = this.readMemory(this.i + registerIndex);
+                        }
+
+                        this.incrementIAfterMemory(x);
+                        break;
+                    // Fx3A - PITCH Vx
+                    case 0x3A:
+                        // XO-CHIP, set audio pattern playback pitch
+                        this.pitch = this.v[x];
+                        break;
+                    // Fx75 - LD R, Vx
+                    case 0x75:
+                        // Store registers V0 through Vx in RPL user flags
+                        for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
+                            this.rpl[registerIndex] = this.v[registerIndex];
+                        }
+                        break;
+                    // Fx85 - LD Vx, R
+                    case 0x85:
+                        // Read registers V0 through Vx from RPL user flags
+                        for (let registerIndex = 0; registerIndex <= x; registerIndex++) {
+                            this.v[registerIndex] = this.rpl[registerIndex];
                         }
                         break;
                 }
 
                 break;
-
-            default:
-                throw new Error('Unknown opcode' + opcode);
         }
     }
 
+    // Fx0A, pause emulator until a key is pressed, then store it in Vx
+    // With keyRelease quirk the key has to be released too, as on the COSMAC VIP
+    // Only keys pressed after Fx0A count, a key already held down has to be pressed again
+    waitForKey(x) {
+        this.paused = true;
+
+        // Remembered so a save state can resume waiting
+        this.keyWaitRegister = x;
+        this.keyWaitKey = null;
+    }
+
+    // Set Vx of Fx0A to key and carry on running
+    finishKeyWait(key) {
+        // Set Vx to pressed key's keycode
+        this.v[this.keyWaitRegister] = key;
+        this.paused = false;
+        this.keyWaitRegister = null;
+        this.keyWaitKey = null;
+    }
+
+    // Skip over next instruction (3xkk, 4xkk, 5xy0, 9xy0, Ex9E, ExA1)
+    // F000 nnnn is 4 bytes long, so it is skipped whole on platforms that have it
+    skipNextInstruction() {
+        let next = (this.memory[this.pc] << 8 | this.memory[this.pc + 1]);
+
+        this.pc += (identify(next, this.quirks.instructions) === 'F000') ? 4 : 2;
+    }
 
+    // Fx55 and Fx65 leave I pointing past the registers on some interpreters
+    // Depends on memory and memoryIncrementByX quirks
+    incrementIAfterMemory(x) {
+        if (!this.quirks.memory) {
+            return;
+        }
 
+        if (this.quirks.memoryIncrementByX) {
+            this.i += x;
+        } else {
+            this.i += x + 1;
+        }
+    }
 }
 
 export default CPU;
\ No newline at end of file
@@ -0,0 +1,345 @@
+// Debugger
+// Pause and single-step the CPU, break on PC, opcode or memory writes
+// Shows registers, stack, timers and a hex view of memory in the debugger panel
+
+import Disassembler from "./disassembler.js";
+import { parsePattern } from "./opcodes.js";
+import hex from "./hex.js";
+
+// Number of executed instructions shown in trace
+const TRACE_LENGTH = 32;
+
+class Debugger {
+    constructor(cpu) {
+        this.cpu = cpu;
+
+        // CPU asks debugger before and after each instruction
+        cpu.debugger = this;
+
+        // True while machine is stopped by debugger
+        this.paused = false;
+
+        // Why machine was last stopped, shown in panel
+        this.reason = '';
+
+        // Breakpoints
+        // pc: addresses to stop at before executing
+        // opcodes: { pattern, mask, value }, stop when opcode & mask === value
+        // memory: addresses to stop after an instruction writes to
+        this.pcBreakpoints = new Set();
+        this.opcodeBreakpoints = [];
+        this.memoryBreakpoints = new Set();
+
+        // Most recently executed instructions, oldest first
+        // { pc, opcode, next }, next is the word after opcode for 4-byte instructions
+        this.trace = [];
+
+        // Address resumed from, so its breakpoint does not stop the machine again straight away
+        this.resumeAt = null;
+
+        // Called when machine is stopped, by pause(), a breakpoint or step()
+        // Instructions stepped from then on run outside of frames
+        this.onPause = null;
+
+        // Panel shows something out of date, set when an instruction runs or the machine is stopped,
+        // resumed or restored, so an idle machine is not redrawn every animation frame
+        // Timers tick without instructions running, so the values last shown are kept too
+        this.stale = true;
+        this.shownTimers = null;
+
+        // Without a page (eg. running under Node) debugger is driven by calling its methods
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.pauseButton = document.querySelector('#debug-pause');
+        this.status = document.querySelector('#debug-status');
+        this.breakpointType = document.querySelector('#debug-breakpoint-type');
+        this.breakpointValue = document.querySelector('#debug-breakpoint-value');
+        this.breakpointList = document.querySelector('#debug-breakpoints');
+        this.registers = document.querySelector('#debug-registers');
+        this.memoryAddress = document.querySelector('#debug-memory-address');
+        this.memoryView = document.querySelector('#debug-memory');
+        this.traceView = document.querySelector('#debug-trace');
+
+        this.pauseButton.addEventListener('click', this.onPauseClick.bind(this), false);
+        document.querySelector('#debug-step').addEventListener('click', this.onStepClick.bind(this), false);
+        document.querySelector('#debug-breakpoint-add').addEventListener('click', this.onAddClick.bind(this), false);
+        this.memoryAddress.addEventListener('input', this.invalidate.bind(this), false);
+    }
+
+    // Redraw panel on next update()
+    invalidate() {
+        this.stale = true;
+    }
+
+    // Stop machine before next instruction
+    pause(reason = 'Paused') {
+        this.paused = true;
+        this.reason = reason;
+
+        this.invalidate();
+        this.update();
+
+        if (this.onPause !== null) {
+            this.onPause();
+        }
+    }
+
+    // Carry on running from current instruction
+    resume() {
+        this.paused = false;
+        this.reason = '';
+        this.resumeAt = this.cpu.pc;
+
+        this.invalidate();
+        this.update();
+    }
+
+    // Forget executed instructions, eg. when another ROM is loaded
+    clearTrace() {
+        this.trace = [];
+        this.invalidate();
+    }
+
+    // Execute a single instruction, ignoring breakpoints
+    // Timers are left alone, as they tick per frame rather than per instruction
+    step() {
+        if (!this.paused) {
+            this.pause();
+        }
+
+        if (!this.cpu.paused && !this.cpu.exited && !this.cpu.fault) {
+            this.cpu.stepInstruction();
+        }
+
+        this.cpu.renderer.render();
+        this.update();
+    }
+
+    // type: 'pc', 'opcode' or 'memory'
+    // value: hex address (eg. '2A0') or opcode pattern (eg. 'Dxyn', '00E0')
+    addBreakpoint(type, value) {
+        switch (type) {
+            case 'pc':
+                this.pcBreakpoints.add(parseAddress(value));
+                break;
+            case 'opcode':
+                this.opcodeBreakpoints.push(parsePattern(value));
+                break;
+            case 'memory':
+                this.memoryBreakpoints.add(parseAddress(value));
+                break;
+            default:
+                throw new Error('Unknown breakpoint type ' + type);
+        }
+
+        this.updateBreakpointList();
+    }
+
+    removeBreakpoint(type, value) {
+        switch (type) {
+            case 'pc':
+                this.pcBreakpoints.delete(value);
+                break;
+            case 'opcode':
+                this.opcodeBreakpoints = this.opcodeBreakpoints.filter(breakpoint => breakpoint.pattern !== value);
+                break;
+            case 'memory':
+                this.memoryBreakpoints.delete(value);
+                break;
+        }
+
+        this.updateBreakpointList();
+    }
+
+    // Called by CPU before executing opcode at pc
+    // Pauses and returns true if a breakpoint is hit
+    shouldBreak(pc, opcode) {
+        // Just resumed from here, let this instruction run
+        if (this.resumeAt === pc) {
+            this.resumeAt = null;
+            return false;
+        }
+
+        this.resumeAt = null;
+
+        if (this.pcBreakpoints.has(pc)) {
+            this.pause('Breakpoint at ' + hex(pc, 3));
+            return true;
+        }
+
+        for (let breakpoint of this.opcodeBreakpoints) {
+            if ((opcode & breakpoint.mask) === breakpoint.value) {
+                this.pause('Opcode ' + hex(opcode, 4) + ' matches ' + breakpoint.pattern);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Called by CPU before executing each instruction, adds it to trace
+    onExecute(pc, opcode) {
+        let memory = this.cpu.memory;
+
+        this.stale = true;
+        this.trace.push({ pc, opcode, next: (memory[pc + 2] << 8 | memory[pc + 3]) });
+
+        if (this.trace.length > TRACE_LENGTH) {
+            this.trace.shift();
+        }
+    }
+
+    // Called by CPU when an instruction stores a byte in memory
+    // Machine stops once the instruction has finished
+    onMemoryWrite(address, value) {
+        if (this.memoryBreakpoints.has(address)) {
+            this.pause('Write of ' + hex(value, 2) + ' to ' + hex(address, 3));
+        }
+    }
+
+    // Redraw debugger panel with current machine state
+    // Called in step() in chip8.js every animation frame, does nothing unless something changed
+    update() {
+        if (!this.registers) {
+            return;
+        }
+
+        let cpu = this.cpu;
+        let timers = cpu.delayTimer + ' ' + cpu.soundTimer;
+
+        if (!this.stale && timers === this.shownTimers) {
+            return;
+        }
+
+        this.stale = false;
+        this.shownTimers = timers;
+
+        this.pauseButton.textContent = this.paused ? 'Resume' : 'Pause';
+        this.status.textContent = this.reason;
+
+        // Registers, timers and stack
+        let lines = [];
+
+        lines.push('PC ' + hex(cpu.pc, 4) + '  I ' + hex(cpu.i, 4) +
+            '  DT ' + hex(cpu.delayTimer, 2) + '  ST ' + hex(cpu.soundTimer, 2));
+
+        for (let row = 0; row < 2; row++) {
+            let registers = [];
+
+            for (let col = 0; col < 8; col++) {
+                let index = (row * 8) + col;
+                registers.push('V' + index.toString(16).toUpperCase() + ' ' + hex(cpu.v[index], 2));
+            }
+
+            lines.push(registers.join('  '));
+        }
+
+        lines.push('Stack ' + (cpu.stack.length ? cpu.stack.map(address => hex(address, 4)).join(' ') : '-'));
+
+        this.registers.textContent = lines.join('\n');
+
+        // Hex view of 8 rows of 16 bytes
+        // Follows PC unless a valid address is given
+        let address = parseInt(this.memoryAddress.value, 16);
+        if (isNaN(address)) {
+            address = cpu.pc;
+        }
+
+        let start = Math.max(0, (address & ~0xF) - 0x30);
+        let rows = [];
+
+        for (let row = 0; row < 8 && start + (row * 16) < cpu.memory.length; row++) {
+            let rowAddress = start + (row * 16);
+            let bytes = [];
+
+            for (let col = 0; col < 16; col++) {
+                bytes.push(hex(cpu.memory[rowAddress + col] || 0, 2));
+            }
+
+            // Mark row holding PC
+            let marker = (cpu.pc >= rowAddress && cpu.pc < rowAddress + 16) ? '>' : ' ';
+            rows.push(marker + hex(rowAddress, 4) + '  ' + bytes.join(' '));
+        }
+
+        this.memoryView.textContent = rows.join('\n');
+
+        // Trace of executed instructions, newest last
+        this.traceView.textContent = this.trace.map(function(entry) {
+            let text = Disassembler.instruction(entry.opcode, entry.next) || 'Unknown opcode';
+            return hex(entry.pc, 3) + '  ' + hex(entry.opcode, 4) + '  ' + text;
+        }).join('\n');
+
+        // Keep newest instruction in view
+        this.traceView.scrollTop = this.traceView.scrollHeight;
+    }
+
+    // Rebuild list of breakpoints, only when they change
+    // Rebuilding every frame would replace a remove button between press and release, losing the click
+    updateBreakpointList() {
+        if (!this.breakpointList) {
+            return;
+        }
+
+        this.breakpointList.textContent = '';
+
+        let entries = [];
+
+        for (let address of this.pcBreakpoints) {
+            entries.push(['pc', address, 'PC ' + hex(address, 3)]);
+        }
+        for (let breakpoint of this.opcodeBreakpoints) {
+            entries.push(['opcode', breakpoint.pattern, 'Opcode ' + breakpoint.pattern]);
+        }
+        for (let address of this.memoryBreakpoints) {
+            entries.push(['memory', address, 'Write ' + hex(address, 3)]);
+        }
+
+        for (let [type, value, label] of entries) {
+            let item = document.createElement('li');
+            let remove = document.createElement('button');
+
+            item.textContent = label + ' ';
+            remove.textContent = 'x';
+            remove.addEventListener('click', this.removeBreakpoint.bind(this, type, value), false);
+
+            item.appendChild(remove);
+            this.breakpointList.appendChild(item);
+        }
+    }
+
+    onPauseClick() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    onStepClick() {
+        this.step();
+    }
+
+    onAddClick() {
+        try {
+            this.addBreakpoint(this.breakpointType.value, this.breakpointValue.value.trim());
+            this.breakpointValue.value = '';
+        } catch (error) {
+            this.status.textContent = error.message;
+        }
+    }
+}
+
+// Hex address such as '2A0' or '0x2A0'
+function parseAddress(value) {
+    let address = parseInt(value, 16);
+
+    if (isNaN(address)) {
+        throw new Error('Invalid address ' + value);
+    }
+
+    return address;
+}
+
+export default Debugger;
@@ -0,0 +1,16 @@
+// Command line disassembler, run with Node
+// node scripts/disassemble.js roms/BLINKY
+
+import fs from "fs";
+import Disassembler from "./disassembler.js";
+
+const file = process.argv[2];
+
+if (!file) {
+    console.error('Usage: node scripts/disassemble.js <rom>');
+    process.exit(1);
+}
+
+const disassembler = new Disassembler(fs.readFileSync(file));
+
+console.log(disassembler.listing());
@@ -0,0 +1,256 @@
+// Disassembler
+// Turns ROM bytes into Cowgod-style mnemonics (LD Vx, byte / DRW Vx, Vy, n ...)
+// Code is told apart from data by following every path reachable from the start of the program
+// Jump and call targets get labels
+
+import decode, { identify } from "./opcodes.js";
+import hex from "./hex.js";
+
+class Disassembler {
+    // bytes: ROM contents
+    // origin: address ROM is loaded at, most programs start at 0x200
+    constructor(bytes, origin = 0x200) {
+        this.bytes = new Uint8Array(bytes);
+        this.origin = origin;
+
+        // Length of instruction starting at each reachable address, 0 for data
+        this.code = new Uint8Array(this.bytes.length);
+
+        // Jump and call targets, address -> label
+        this.labels = new Map();
+
+        this.trace();
+    }
+
+    // Mnemonic for a single instruction
+    // next: the 16 bits after opcode, only used by 4-byte F000 nnnn
+    // labels: address -> label to print in place of jump and call targets
+    // Returns null for opcodes that are not instructions
+    static instruction(opcode, next = 0, labels = new Map()) {
+        let { x, y, n, kk, nnn } = decode(opcode);
+
+        let vx = 'V' + hexDigit(x);
+        let vy = 'V' + hexDigit(y);
+        let byte = hex(kk, 2);
+        let addr = labels.get(nnn) || hex(nnn, 3);
+
+        // Which opcodes are instructions is decided in opcodes.js, shared with the CPU
+        switch (identify(opcode)) {
+            case '00Cn': return 'SCD ' + n;
+            case '00Dn': return 'SCU ' + n;
+            case '00E0': return 'CLS';
+            case '00EE': return 'RET';
+            case '00FB': return 'SCR';
+            case '00FC': return 'SCL';
+            case '00FD': return 'EXIT';
+            case '00FE': return 'LOW';
+            case '00FF': return 'HIGH';
+            case '0nnn': return 'SYS ' + addr;
+            case '1nnn': return 'JP ' + addr;
+            case '2nnn': return 'CALL ' + addr;
+            case '3xkk': return 'SE ' + vx + ', ' + byte;
+            case '4xkk': return 'SNE ' + vx + ', ' + byte;
+            case '5xy0': return 'SE ' + vx + ', ' + vy;
+            case '5xy2': return 'LD [I], ' + vx + ' - ' + vy;
+            case '5xy3': return 'LD ' + vx + ' - ' + vy + ', [I]';
+            case '6xkk': return 'LD ' + vx + ', ' + byte;
+            case '7xkk': return 'ADD ' + vx + ', ' + byte;
+            case '8xy0': return 'LD ' + vx + ', ' + vy;
+            case '8xy1': return 'OR ' + vx + ', ' + vy;
+            case '8xy2': return 'AND ' + vx + ', ' + vy;
+            case '8xy3': return 'XOR ' + vx + ', ' + vy;
+            case '8xy4': return 'ADD ' + vx + ', ' + vy;
+            case '8xy5': return 'SUB ' + vx + ', ' + vy;
+            case '8xy6': return 'SHR ' + vx + ', ' + vy;
+            case '8xy7': return 'SUBN ' + vx + ', ' + vy;
+            case '8xyE': return 'SHL ' + vx + ', ' + vy;
+            case '9xy0': return 'SNE ' + vx + ', ' + vy;
+            case 'Annn': return 'LD I, ' + addr;
+            case 'Bnnn': return 'JP V0, ' + addr;
+            case 'Cxkk': return 'RND ' + vx + ', ' + byte;
+            case 'Dxyn': return 'DRW ' + vx + ', ' + vy + ', ' + n;
+            case 'Ex9E': return 'SKP ' + vx;
+            case 'ExA1': return 'SKNP ' + vx;
+            case 'F000': return 'LD I, LONG ' + (labels.get(next) || hex(next, 4));
+            case 'Fx01': return 'PLANE ' + x;
+            case 'F002': return 'AUDIO';
+            case 'Fx07': return 'LD ' + vx + ', DT';
+            case 'Fx0A': return 'LD ' + vx + ', K';
+            case 'Fx15': return 'LD DT, ' + vx;
+            case 'Fx18': return 'LD ST, ' + vx;
+            case 'Fx1E': return 'ADD I, ' + vx;
+            case 'Fx29': return 'LD F, ' + vx;
+            case 'Fx30': return 'LD HF, ' + vx;
+            case 'Fx33': return 'LD B, ' + vx;
+            case 'Fx3A': return 'PITCH ' + vx;
+            case 'Fx55': return 'LD [I], ' + vx;
+            case 'Fx65': return 'LD ' + vx + ', [I]';
+            case 'Fx75': return 'LD R, ' + vx;
+            case 'Fx85': return 'LD ' + vx + ', R';
+        }
+
+        return null;
+    }
+
+    // Follow every path from origin, marking instructions as code
+    trace() {
+        let pending = [this.origin];
+
+        while (pending.length > 0) {
+            let address = pending.pop();
+
+            // Walk forwards until path ends (jump, return, data or already seen code)
+            while (this.contains(address) && !this.code[address - this.origin]) {
+                let opcode = this.word(address);
+
+                if (identify(opcode) === null) {
+                    break;
+                }
+
+                let length = (opcode === 0xF000) ? 4 : 2;
+
+                // F000 in the last 2 or 3 bytes has no room for its address, it is data
+                if (!this.contains(address, length)) {
+                    break;
+                }
+
+                this.code[address - this.origin] = length;
+
+                let nnn = opcode & 0xFFF;
+                let next = address + length;
+
+                // 1nnn - JP addr, path carries on at nnn
+                if ((opcode & 0xF000) === 0x1000) {
+                    this.label(nnn);
+                    pending.push(nnn);
+                    break;
+                }
+
+                // 2nnn - CALL addr, subroutine is followed separately
+                if ((opcode & 0xF000) === 0x2000) {
+                    this.label(nnn);
+                    pending.push(nnn);
+                }
+
+                // Bnnn - JP V0, addr, target depends on V0 so only nnn itself is known
+                if ((opcode & 0xF000) === 0xB000) {
+                    this.label(nnn);
+                    pending.push(nnn);
+                    break;
+                }
+
+                // F000 nnnn - LD I, LONG addr, points at data
+                if (opcode === 0xF000) {
+                    this.label(this.word(address + 2));
+                }
+
+                // 00EE - RET, 00FD - EXIT end path
+                if (opcode === 0x00EE || opcode === 0x00FD) {
+                    break;
+                }
+
+                // Skips can land after next instruction too
+                if (isSkip(opcode)) {
+                    let skipped = (this.word(next) === 0xF000) ? 4 : 2;
+                    pending.push(next + skipped);
+                }
+
+                address = next;
+            }
+        }
+
+        this.placeLabels();
+    }
+
+    // Drop labels the listing would never print, so every label used is defined
+    // Lines start at each instruction and each data byte, a target inside an instruction has no line of its own
+    placeLabels() {
+        let starts = new Set();
+        let address = this.origin;
+
+        while (address < this.origin + this.bytes.length) {
+            starts.add(address);
+            address += this.code[address - this.origin] || 1;
+        }
+
+        for (let label of this.labels.keys()) {
+            if (!starts.has(label)) {
+                this.labels.delete(label);
+            }
+        }
+    }
+
+    // Full listing of ROM, one instruction or up to 8 data bytes per line
+    listing() {
+        let lines = [];
+        let address = this.origin;
+        let end = this.origin + this.bytes.length;
+
+        while (address < end) {
+            if (this.labels.has(address)) {
+                lines.push(this.labels.get(address) + ':');
+            }
+
+            let length = this.code[address - this.origin];
+
+            if (length) {
+                let opcode = this.word(address);
+                let text = Disassembler.instruction(opcode, this.word(address + 2), this.labels);
+                let raw = hex(opcode, 4).slice(2) + ((length === 4) ? hex(this.word(address + 2), 4).slice(2) : '');
+
+                lines.push('    ' + hex(address, 3).slice(2) + '  ' + raw.padEnd(8) + '  ' + text);
+                address += length;
+                continue;
+            }
+
+            // Group data bytes until next instruction or label
+            let data = [];
+            let start = address;
+
+            do {
+                data.push(hex(this.bytes[address - this.origin], 2));
+                address++;
+            } while (address < end && data.length < 8 &&
+                !this.code[address - this.origin] && !this.labels.has(address));
+
+            lines.push('    ' + hex(start, 3).slice(2) + '  ' + ''.padEnd(8) + '  DB ' + data.join(', '));
+        }
+
+        return lines.join('\n');
+    }
+
+    // Addresses outside the ROM are left as numbers, there is no line to put the label on
+    label(address) {
+        if (address < this.origin || address >= this.origin + this.bytes.length) {
+            return;
+        }
+
+        if (!this.labels.has(address)) {
+            this.labels.set(address, 'L' + hex(address, 3).slice(2));
+        }
+    }
+
+    // Whether all length bytes from address are in the ROM
+    contains(address, length = 2) {
+        return address >= this.origin && address + length - 1 < this.origin + this.bytes.length;
+    }
+
+    // 16-bit word at address, 0 past the end of ROM
+    word(address) {
+        let index = address - this.origin;
+        return ((this.bytes[index] || 0) << 8) | (this.bytes[index + 1] || 0);
+    }
+}
+
+// Instructions that may skip the next instruction
+const SKIPS = ['3xkk', '4xkk', '5xy0', '9xy0', 'Ex9E', 'ExA1'];
+
+function isSkip(opcode) {
+    return SKIPS.includes(identify(opcode));
+}
+
+function hexDigit(value) {
+    return value.toString(16).toUpperCase();
+}
+
+export default Disassembler;
@@ -0,0 +1,87 @@
+// Display settings panel
+// Pick renderer backend, colour palette, phosphor persistence and scanline filter
+
+import PALETTES from "./palettes.js";
+
+class DisplaySettings {
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        // Without a page (eg. running under Node) renderer is set up directly
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.backendSelect = document.querySelector('#display-backend');
+        this.paletteSelect = document.querySelector('#display-palette');
+        this.foregroundInput = document.querySelector('#display-foreground');
+        this.backgroundInput = document.querySelector('#display-background');
+        this.persistenceInput = document.querySelector('#display-persistence');
+        this.scanlinesInput = document.querySelector('#display-scanlines');
+
+        for (let key in PALETTES) {
+            let option = document.createElement('option');
+            option.value = key;
+            option.textContent = PALETTES[key].name;
+            this.paletteSelect.appendChild(option);
+        }
+
+        // Show what renderer actually ended up with, WebGL may not be available
+        this.backendSelect.value = this.renderer.backendType;
+        this.paletteSelect.value = 'classic';
+        this.persistenceInput.value = this.renderer.persistence;
+        this.scanlinesInput.checked = this.renderer.scanlines;
+        this.showColors();
+
+        this.backendSelect.addEventListener('change', this.onBackendChange.bind(this), false);
+        this.paletteSelect.addEventListener('change', this.onPaletteChange.bind(this), false);
+        this.foregroundInput.addEventListener('input', this.onColorInput.bind(this), false);
+        this.backgroundInput.addEventListener('input', this.onColorInput.bind(this), false);
+        this.persistenceInput.addEventListener('input', this.onPersistenceInput.bind(this), false);
+        this.scanlinesInput.addEventListener('change', this.onScanlinesChange.bind(this), false);
+    }
+
+    // Colour inputs only take #rrggbb, transparency is dropped
+    showColors() {
+        this.backgroundInput.value = toHex(this.renderer.colors[0]);
+        this.foregroundInput.value = toHex(this.renderer.colors[1]);
+    }
+
+    onBackendChange() {
+        this.renderer.setBackend(this.backendSelect.value);
+
+        // Fell back to canvas
+        this.backendSelect.value = this.renderer.backendType;
+    }
+
+    onPaletteChange() {
+        this.renderer.setPalette(PALETTES[this.paletteSelect.value].colors);
+        this.showColors();
+    }
+
+    // Replace background and plane 1 colours, XO-CHIP plane 2 colours are kept
+    onColorInput() {
+        let colors = this.renderer.palette.slice();
+
+        colors[0] = this.backgroundInput.value;
+        colors[1] = this.foregroundInput.value;
+
+        this.renderer.setPalette(colors);
+    }
+
+    onPersistenceInput() {
+        this.renderer.persistence = parseFloat(this.persistenceInput.value);
+    }
+
+    onScanlinesChange() {
+        this.renderer.scanlines = this.scanlinesInput.checked;
+        this.renderer.invalidate();
+    }
+}
+
+// [r, g, b, a] bytes as #rrggbb
+function toHex(rgba) {
+    return '#' + rgba.slice(0, 3).map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+export default DisplaySettings;
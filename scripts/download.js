@@ -0,0 +1,13 @@
+// Save a Blob as a file through a temporary link, as the browser does for downloads
+// Used for save states, movies, screenshots and recordings
+function download(blob, name) {
+    let link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+
+    URL.revokeObjectURL(link.href);
+}
+
+export default download;
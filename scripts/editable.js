@@ -0,0 +1,12 @@
+// Whether a key event's target takes typing, eg. the assembler source or the IPS field
+// Hotkeys and Chip-8 keys leave those key presses alone, so Backspace deletes and letters are typed
+// Releases are still handled everywhere, a key pressed before focus moved would stick otherwise
+function isEditable(target) {
+    if (!target || !target.tagName) {
+        return false;
+    }
+
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+export default isEditable;
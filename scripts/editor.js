@@ -0,0 +1,95 @@
+// Editor panel next to the canvas
+// Assemble program written in the page and run it in one click
+
+import Assembler from "./assembler.js";
+
+// Shown in editor to start with
+const EXAMPLE = [
+    '; Bounce a ball across the screen',
+    ':const SPEED 1',
+    '',
+    '    LD V0, 0',
+    '    LD V1, 12',
+    '    LD I, ball',
+    'loop:',
+    '    DRW V0, V1, 4',
+    '    LD V2, 2',
+    '    LD DT, V2',
+    'wait:',
+    '    LD V2, DT',
+    '    SE V2, 0',
+    '    JP wait',
+    '    DRW V0, V1, 4',
+    '    ADD V0, SPEED',
+    '    JP loop',
+    '',
+    'ball:',
+    ':sprite .##.....',
+    ':sprite ####....',
+    ':sprite ####....',
+    ':sprite .##.....'
+].join('\n');
+
+class Editor {
+    constructor(cpu) {
+        this.cpu = cpu;
+        this.assembler = new Assembler();
+
+        this.source = document.querySelector('#asm-source');
+        this.status = document.querySelector('#asm-status');
+
+        this.source.value = EXAMPLE;
+
+        document.querySelector('#asm-run').addEventListener('click', this.onRunClick.bind(this), false);
+    }
+
+    // Assemble editor contents, then reset machine and run program
+    // Returns false and shows error if program does not assemble
+    run() {
+        let program;
+
+        try {
+            program = this.assembler.assemble(this.source.value);
+
+            // Too large for memory, current program keeps running
+            this.cpu.checkProgramSize(program);
+        } catch (error) {
+            this.status.textContent = error.message;
+
+            // Put cursor where the error is
+            if (error.line) {
+                this.select(error.line, error.column);
+            }
+
+            return false;
+        }
+
+        this.cpu.reset(false);
+        this.cpu.loadProgramIntoMemory(program);
+
+        this.status.textContent = 'Assembled ' + program.length + ' bytes';
+        return true;
+    }
+
+    // Move cursor in editor to line and column (both starting at 1)
+    select(line, column) {
+        let lines = this.source.value.split('\n');
+        let offset = 0;
+
+        for (let i = 0; i < line - 1 && i < lines.length; i++) {
+            // Count newline as well
+            offset += lines[i].length + 1;
+        }
+
+        offset += column - 1;
+
+        this.source.focus();
+        this.source.setSelectionRange(offset, offset);
+    }
+
+    onRunClick() {
+        this.run();
+    }
+}
+
+export default Editor;
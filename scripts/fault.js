@@ -0,0 +1,36 @@
+// Machine faults
+// Things a program does that the machine cannot carry on from, eg. returning with an empty stack
+// In strict mode the CPU stops on the first one and keeps it in CPU.fault
+// In lenient mode it carries on as best it can, ignoring the instruction or wrapping the address
+
+import hex from "./hex.js";
+
+// Kinds of fault, also used as the start of the message
+const FAULTS = {
+    UNKNOWN_OPCODE: 'Unknown opcode',
+    STACK_UNDERFLOW: 'Return with empty stack',
+    STACK_OVERFLOW: 'Stack overflow',
+    PC_OUT_OF_BOUNDS: 'PC out of bounds',
+    I_OUT_OF_BOUNDS: 'I out of bounds',
+    MEMORY_OUT_OF_BOUNDS: 'Memory access out of bounds'
+};
+
+// Most return addresses the stack holds
+const STACK_DEPTH = 16;
+
+class MachineFault extends Error {
+    // type: one of FAULTS
+    // pc, opcode: instruction that faulted
+    // detail: anything else worth knowing, eg. the address accessed
+    constructor(type, pc, opcode, detail = '') {
+        super(type + ': ' + hex(opcode, 4) + ' at ' + hex(pc, 4) + (detail ? ', ' + detail : ''));
+
+        this.name = 'MachineFault';
+        this.type = type;
+        this.pc = pc;
+        this.opcode = opcode;
+    }
+}
+
+export { FAULTS, STACK_DEPTH };
+export default MachineFault;
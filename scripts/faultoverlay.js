@@ -0,0 +1,33 @@
+// Overlay over the display showing the fault that stopped the machine
+// Also switches between strict and lenient fault handling, see fault.js
+
+class FaultOverlay {
+    constructor(cpu) {
+        this.cpu = cpu;
+
+        this.overlay = document.querySelector('#fault-overlay');
+        this.message = document.querySelector('#fault-message');
+        this.strictInput = document.querySelector('#fault-strict');
+
+        this.strictInput.checked = this.cpu.strict;
+        this.strictInput.addEventListener('change', this.onStrictChange.bind(this), false);
+    }
+
+    // Show or hide overlay for current fault
+    // Called in step() in chip8.js every animation frame, so it goes away once machine is reset
+    update() {
+        let fault = this.cpu.fault;
+
+        this.overlay.hidden = !fault;
+
+        if (fault) {
+            this.message.textContent = fault.message;
+        }
+    }
+
+    onStrictChange() {
+        this.cpu.strict = this.strictInput.checked;
+    }
+}
+
+export default FaultOverlay;
@@ -0,0 +1,203 @@
+// Gamepad input
+// Polls connected gamepads every frame and presses Chip-8 keys through Keyboard,
+// so isKeyPressed() and Fx0A see them the same as keys
+// Controls are named 'button0' to 'button16', or 'axis0-' / 'axis0+' for each direction of a stick axis
+// Bindings are saved in localStorage for each ROM, as Keyboard does for keys
+
+import { load, save } from "./storage.js";
+
+// How far a stick has to move before it counts as pressed
+const AXIS_THRESHOLD = 0.5;
+
+// Directions on d-pad and left stick press the keys Octo games use for movement
+// A and B press the usual action keys
+const DEFAULT_BINDINGS = {
+    button12: 0x5, button13: 0x8, button14: 0x7, button15: 0x9,
+    'axis1-': 0x5, 'axis1+': 0x8, 'axis0-': 0x7, 'axis0+': 0x9,
+    button0: 0x6, button1: 0x4
+};
+
+// Names of controls of gamepads with the standard layout
+const CONTROL_NAMES = {
+    button0: 'A', button1: 'B', button2: 'X', button3: 'Y',
+    button4: 'LB', button5: 'RB', button6: 'LT', button7: 'RT',
+    button8: 'Back', button9: 'Start', button10: 'Left stick', button11: 'Right stick',
+    button12: 'D-pad up', button13: 'D-pad down', button14: 'D-pad left', button15: 'D-pad right',
+    button16: 'Home',
+    'axis0-': 'Left stick left', 'axis0+': 'Left stick right',
+    'axis1-': 'Left stick up', 'axis1+': 'Left stick down',
+    'axis2-': 'Right stick left', 'axis2+': 'Right stick right',
+    'axis3-': 'Right stick up', 'axis3+': 'Right stick down'
+};
+
+class GamepadInput {
+    constructor(keyboard) {
+        this.keyboard = keyboard;
+
+        // Name bindings are saved under, the ROM being played
+        this.profile = null;
+
+        // Controls bound to Chip-8 keys, control -> Chip-8 key
+        this.bindings = Object.assign({}, DEFAULT_BINDINGS);
+
+        // Controls held down at last poll, 'pad:control' -> Chip-8 key it pressed
+        this.held = new Map();
+
+        // While remapping, next control pressed is passed here instead of pressing a Chip-8 key
+        this.onCapture = null;
+
+        // Told when keyboard releases every key
+        keyboard.inputs.push(this);
+
+        // Without a page (eg. running under Node) poll() finds no gamepads
+        if (typeof window === 'undefined') {
+            return;
+        }
+
+        this.status = document.querySelector('#gamepad-connected');
+
+        window.addEventListener('gamepadconnected', this.updateStatus.bind(this), false);
+        window.addEventListener('gamepaddisconnected', this.updateStatus.bind(this), false);
+
+        this.updateStatus();
+    }
+
+    // Check every gamepad and press or release Chip-8 keys for controls that changed
+    // Gamepads have no events for buttons, so this is called every animation frame
+    poll() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return;
+        }
+
+        let pressed = new Set();
+
+        for (let pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) {
+                continue;
+            }
+
+            for (let control of controlsPressed(pad)) {
+                pressed.add(pad.index + ':' + control);
+            }
+        }
+
+        // Controls let go of since last poll
+        for (let [source, key] of this.held) {
+            if (!pressed.has(source)) {
+                this.held.delete(source);
+
+                if (key !== undefined) {
+                    this.keyboard.keyUp(key, 'gamepad' + source);
+                }
+            }
+        }
+
+        // Controls pressed since last poll
+        for (let source of pressed) {
+            if (this.held.has(source)) {
+                continue;
+            }
+
+            let control = source.slice(source.indexOf(':') + 1);
+
+            // Remapping, control does not press a Chip-8 key
+            if (this.onCapture !== null) {
+                let capture = this.onCapture;
+                this.onCapture = null;
+                capture(control);
+
+                this.held.set(source, undefined);
+                continue;
+            }
+
+            let key = this.bindings[control];
+            this.held.set(source, key);
+
+            if (key !== undefined) {
+                this.keyboard.keyDown(key, 'gamepad' + source);
+            }
+        }
+    }
+
+    // Keyboard has released every key, see Keyboard.reset()
+    // Controls are forgotten, so the ones still held down press their keys again at the next poll
+    reset() {
+        this.held.clear();
+    }
+
+    // Switch to bindings saved for a ROM, or the defaults if it has none
+    // name: ROM name
+    setProfile(name) {
+        this.profile = name;
+        this.bindings = load('chip8-pad-' + name) || Object.assign({}, DEFAULT_BINDINGS);
+    }
+
+    // Bind control to Chip-8 key, replacing whatever it was bound to
+    bind(control, key) {
+        this.bindings[control] = key;
+        this.saveBindings();
+    }
+
+    unbind(control) {
+        delete this.bindings[control];
+        this.saveBindings();
+    }
+
+    // Keep bindings for current ROM
+    saveBindings() {
+        if (this.profile !== null) {
+            save('chip8-pad-' + this.profile, this.bindings);
+        }
+    }
+
+    // Controls bound to Chip-8 key
+    codesFor(key) {
+        return Object.keys(this.bindings).filter(control => this.bindings[control] === key);
+    }
+
+    // Name for control, eg. 'button12' is 'D-pad up'
+    label(control) {
+        return CONTROL_NAMES[control] || control;
+    }
+
+    // Show which gamepads are connected
+    updateStatus() {
+        if (!navigator.getGamepads) {
+            this.status.textContent = 'Gamepads are not supported in this browser';
+            return;
+        }
+
+        let names = [];
+
+        for (let pad of navigator.getGamepads()) {
+            if (pad && pad.connected) {
+                names.push(pad.id);
+            }
+        }
+
+        this.status.textContent = names.length ? names.join(', ') : 'No gamepad connected, press a button to wake it up';
+    }
+}
+
+// Controls held down on pad
+function controlsPressed(pad) {
+    let controls = [];
+
+    pad.buttons.forEach(function(button, index) {
+        if (button.pressed) {
+            controls.push('button' + index);
+        }
+    });
+
+    pad.axes.forEach(function(value, index) {
+        if (value <= -AXIS_THRESHOLD) {
+            controls.push('axis' + index + '-');
+        } else if (value >= AXIS_THRESHOLD) {
+            controls.push('axis' + index + '+');
+        }
+    });
+
+    return controls;
+}
+
+export default GamepadInput;
@@ -0,0 +1,234 @@
+// Animated GIF encoder
+// Just enough of GIF89a for the display: a global palette of up to 256 colours,
+// full-size frames each with its own delay, and looping forever
+// Pixels are palette indexes, compressed with variable-length LZW as the format requires
+// Frames are compressed as they are added, so only the finished file is held in memory
+
+// Codes never get longer than 12 bits, the table starts over when they run out
+const MAX_CODES = 4096;
+
+// Bytes in a data sub-block
+const BLOCK_SIZE = 255;
+
+class GifEncoder {
+    // width, height: size of every frame in pixels
+    // colors: palette, [r, g, b] or [r, g, b, a] each, alpha is ignored
+    constructor(width, height, colors) {
+        this.width = width;
+        this.height = height;
+        this.out = new ByteBuffer();
+
+        // Palette is padded to a power of 2, at least 4 colours as LZW needs a minimum code size of 2
+        this.bits = 2;
+        while ((1 << this.bits) < colors.length) {
+            this.bits++;
+        }
+
+        let out = this.out;
+
+        // Header
+        out.writeString('GIF89a');
+
+        // Logical screen descriptor, global palette follows
+        out.writeWord(width);
+        out.writeWord(height);
+        out.write(0x80 | ((this.bits - 1) << 4) | (this.bits - 1));
+        out.write(0);
+        out.write(0);
+
+        // Global palette
+        for (let i = 0; i < (1 << this.bits); i++) {
+            let color = colors[i] || [0, 0, 0];
+
+            out.write(color[0]);
+            out.write(color[1]);
+            out.write(color[2]);
+        }
+
+        // Netscape extension, loop forever
+        out.write(0x21);
+        out.write(0xFF);
+        out.write(11);
+        out.writeString('NETSCAPE2.0');
+        out.write(3);
+        out.write(1);
+        out.writeWord(0);
+        out.write(0);
+    }
+
+    // pixels: width * height palette indexes
+    // delay: how long frame shows, in hundredths of a second
+    addFrame(pixels, delay) {
+        let out = this.out;
+
+        // Graphic control extension, just the delay
+        out.write(0x21);
+        out.write(0xF9);
+        out.write(4);
+        out.write(0);
+        out.writeWord(delay);
+        out.write(0);
+        out.write(0);
+
+        // Image descriptor, covers whole screen with no local palette
+        out.write(0x2C);
+        out.writeWord(0);
+        out.writeWord(0);
+        out.writeWord(this.width);
+        out.writeWord(this.height);
+        out.write(0);
+
+        // Compressed pixels in sub-blocks
+        out.write(this.bits);
+        compress(pixels, this.bits, out);
+        out.write(0);
+    }
+
+    // Whole file, no more frames can be added
+    finish() {
+        // Trailer
+        this.out.write(0x3B);
+
+        return this.out.bytes();
+    }
+}
+
+// LZW compress palette indexes into out, in sub-blocks of up to BLOCK_SIZE bytes
+// minCodeSize: bits per index, codes start one bit longer to make room for the clear and end codes
+// Codes are packed least significant bit first
+function compress(pixels, minCodeSize, out) {
+    let clearCode = 1 << minCodeSize;
+    let endCode = clearCode + 1;
+
+    let block = new Uint8Array(BLOCK_SIZE);
+    let blockLength = 0;
+
+    let buffer = 0;
+    let bufferBits = 0;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    // Sequences seen so far, (code of sequence without last index) * 256 + last index -> code
+    let table = new Map();
+
+    function flush() {
+        out.write(blockLength);
+        out.writeBytes(block.subarray(0, blockLength));
+        blockLength = 0;
+    }
+
+    function emit(code) {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+
+        while (bufferBits >= 8) {
+            block[blockLength++] = buffer & 0xFF;
+            buffer >>= 8;
+            bufferBits -= 8;
+
+            if (blockLength === BLOCK_SIZE) {
+                flush();
+            }
+        }
+    }
+
+    emit(clearCode);
+
+    let code = pixels[0];
+
+    for (let i = 1; i < pixels.length; i++) {
+        let index = pixels[i];
+        let key = (code * 256) + index;
+
+        // Sequence seen before, keep making it longer
+        if (table.has(key)) {
+            code = table.get(key);
+            continue;
+        }
+
+        emit(code);
+
+        if (nextCode === MAX_CODES) {
+            // Table is full, start over
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            // Decoder reads longer codes as soon as the new one would not fit
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+
+            table.set(key, nextCode++);
+        }
+
+        code = index;
+    }
+
+    emit(code);
+    emit(endCode);
+
+    // Last partial byte
+    if (bufferBits > 0) {
+        block[blockLength++] = buffer & 0xFF;
+    }
+
+    if (blockLength > 0) {
+        flush();
+    }
+}
+
+// Bytes written one at a time into a Uint8Array, doubled in size whenever it fills up
+class ByteBuffer {
+    constructor(capacity = 64 * 1024) {
+        this.buffer = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.buffer.length) {
+            return;
+        }
+
+        let capacity = this.buffer.length * 2;
+        while (capacity < this.length + count) {
+            capacity *= 2;
+        }
+
+        let buffer = new Uint8Array(capacity);
+        buffer.set(this.buffer.subarray(0, this.length));
+        this.buffer = buffer;
+    }
+
+    write(byte) {
+        this.reserve(1);
+        this.buffer[this.length++] = byte;
+    }
+
+    writeBytes(bytes) {
+        this.reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    // 16-bit little endian
+    writeWord(value) {
+        this.write(value & 0xFF);
+        this.write((value >> 8) & 0xFF);
+    }
+
+    writeString(string) {
+        for (let i = 0; i < string.length; i++) {
+            this.write(string.charCodeAt(i));
+        }
+    }
+
+    // Bytes written so far
+    bytes() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+export default GifEncoder;
@@ -0,0 +1,250 @@
+// Compatibility harness, run with Node (see compat.js)
+// Runs every ROM in a directory headless for a number of frames under each quirk profile,
+// then compares the display with a golden image saved from a run known to be right
+//
+// Next to each ROM an optional NAME.json says how to run it, all fields are optional:
+// frames: frames to run (default 300)
+// ips: instructions per second (default the CPU's)
+// vipTiming: COSMAC VIP instruction timing instead of ips
+// seed: seed for Cxkk's random numbers (default 0)
+// memory: bytes to store before running, { "0x1FF": 1 }, eg. to pick a test in a test suite's menu
+// input: keys to press, [{ "frame": 60, "key": 5, "hold": 3 }], hold is how many frames until release
+// profiles: profiles to run, { "SCHIP": { ... } }, each can override any of the fields above
+//   Defaults to every profile in quirks.js
+//
+// Golden images are plain PGM files in a golden folder, golden/NAME.PROFILE.pgm
+// Grey levels are display values, 0 off, 1 to 3 the XO-CHIP planes a pixel is on in
+
+import fs from "fs";
+import path from "path";
+import CPU from "./cpu.js";
+import Renderer from "./renderer.js";
+import Keyboard from "./keyboard.js";
+import SilentSpeaker from "./silentspeaker.js";
+import Scheduler from "./scheduler.js";
+import QUIRKS from "./quirks.js";
+
+// Files taken as ROMs, anything else (specs, notes) is skipped
+// Bundled ROMs have no extension at all
+const ROM_EXTENSIONS = ['', '.ch8', '.c8', '.sc8', '.xo8'];
+
+const DEFAULTS = {
+    frames: 300,
+    ips: null,
+    vipTiming: false,
+    seed: 0,
+    memory: {},
+    input: []
+};
+
+// Frames a scripted key is held down for when hold is not given
+const DEFAULT_HOLD = 3;
+
+// Greatest display value, XO-CHIP pixels in both planes
+const MAX_VALUE = 3;
+
+class Harness {
+    // directory: folder holding ROMs, their specs and the golden folder
+    constructor(directory) {
+        this.directory = directory;
+        this.goldenDirectory = path.join(directory, 'golden');
+    }
+
+    // Names of ROM files in directory, sorted
+    roms() {
+        let directory = this.directory;
+
+        return fs.readdirSync(directory).filter(function(name) {
+            return ROM_EXTENSIONS.includes(path.extname(name).toLowerCase()) &&
+                fs.statSync(path.join(directory, name)).isFile();
+        }).sort();
+    }
+
+    // How to run ROM, from NAME.json if there is one
+    // Returns { profile: options } for each profile to run
+    spec(rom) {
+        let file = path.join(this.directory, path.parse(rom).name + '.json');
+        let spec = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+        let profiles = spec.profiles || Object.fromEntries(Object.keys(QUIRKS).map(profile => [profile, {}]));
+        let runs = {};
+
+        for (let profile in profiles) {
+            if (!(profile in QUIRKS)) {
+                throw new Error(rom + ': unknown quirk profile ' + profile);
+            }
+
+            runs[profile] = Object.assign({}, DEFAULTS, spec, profiles[profile]);
+            delete runs[profile].profiles;
+        }
+
+        return runs;
+    }
+
+    // Run ROM bytes under profile, one of the keys of QUIRKS
+    // options: as in NAME.json
+    // Returns the CPU once the last frame has run
+    run(bytes, profile, options) {
+        let renderer = new Renderer(10, null);
+        let keyboard = new Keyboard(null);
+        let cpu = new CPU(renderer, keyboard, new SilentSpeaker(), QUIRKS[profile]);
+
+        cpu.vipTiming = options.vipTiming;
+
+        if (options.ips) {
+            cpu.instructionsPerSecond = options.ips;
+        }
+
+        cpu.loadSpritesIntoMemory();
+        cpu.loadProgramIntoMemory(bytes);
+        cpu.random.seed(options.seed);
+
+        for (let address in options.memory) {
+            cpu.memory[parseInt(address)] = options.memory[address];
+        }
+
+        // Key events of each frame, delivered at its start
+        let events = new Map();
+
+        let queue = function(frame, key, pressed) {
+            if (!events.has(frame)) {
+                events.set(frame, []);
+            }
+
+            events.get(frame).push({ key, pressed, at: 0 });
+        };
+
+        for (let press of options.input) {
+            queue(press.frame, press.key, true);
+            queue(press.frame + (press.hold || DEFAULT_HOLD), press.key, false);
+        }
+
+        // Scheduler carries fractions of an instruction over to the next frame, as in the browser
+        let scheduler = new Scheduler(cpu);
+        let frame = 0;
+
+        scheduler.onFrame = function(instructions) {
+            cpu.frame(instructions, events.get(frame) || []);
+            frame++;
+        };
+
+        while (frame < options.frames && !cpu.exited && !cpu.fault) {
+            scheduler.runFrame();
+        }
+
+        return cpu;
+    }
+
+    // Run every ROM under each of its profiles and compare with golden images
+    // update: save display as golden image where it is missing
+    // overwrite: also replace golden images the display no longer matches
+    // Faulted runs are never saved, a golden image of a crash would make the crash pass
+    // Returns { rom, profile, status, detail, saved } for each run
+    // status: 'pass', 'fail', 'fault' (strict mode stopped the machine) or 'new' (no golden image yet)
+    // saved: display was saved as the golden image
+    check(update = false, overwrite = false) {
+        let results = [];
+
+        for (let rom of this.roms()) {
+            let bytes = fs.readFileSync(path.join(this.directory, rom));
+            let runs = this.spec(rom);
+
+            for (let profile in runs) {
+                let cpu = this.run(bytes, profile, runs[profile]);
+                let result = this.compare(rom, profile, cpu);
+
+                if ((update && result.status === 'new') || (overwrite && result.status === 'fail')) {
+                    this.save(rom, profile, cpu.renderer);
+                    result.saved = true;
+                    result.detail += ', golden image saved';
+                }
+
+                results.push(result);
+            }
+        }
+
+        return results;
+    }
+
+    // Compare display after a run with its golden image
+    compare(rom, profile, cpu) {
+        let result = { rom, profile, status: 'pass', detail: '', saved: false };
+
+        if (cpu.fault) {
+            result.status = 'fault';
+            result.detail = cpu.fault.message;
+            return result;
+        }
+
+        let file = this.goldenFile(rom, profile);
+
+        if (!fs.existsSync(file)) {
+            result.status = 'new';
+            result.detail = 'no golden image';
+            return result;
+        }
+
+        let golden = readPgm(fs.readFileSync(file, 'ascii'));
+        let renderer = cpu.renderer;
+
+        if (golden.width !== renderer.cols || golden.height !== renderer.rows) {
+            result.status = 'fail';
+            result.detail = 'display is ' + renderer.cols + 'x' + renderer.rows + ', expected ' + golden.width + 'x' + golden.height;
+            return result;
+        }
+
+        let different = 0;
+
+        for (let i = 0; i < golden.pixels.length; i++) {
+            if (golden.pixels[i] !== renderer.display[i]) {
+                different++;
+            }
+        }
+
+        if (different > 0) {
+            result.status = 'fail';
+            result.detail = different + ' pixels differ';
+        }
+
+        return result;
+    }
+
+    // Save display as golden image
+    save(rom, profile, renderer) {
+        fs.mkdirSync(this.goldenDirectory, { recursive: true });
+        fs.writeFileSync(this.goldenFile(rom, profile), writePgm(renderer.cols, renderer.rows, renderer.display));
+    }
+
+    goldenFile(rom, profile) {
+        return path.join(this.goldenDirectory, path.parse(rom).name + '.' + profile + '.pgm');
+    }
+}
+
+// Plain (P2) PGM, one display row per line
+function writePgm(width, height, pixels) {
+    let lines = ['P2', width + ' ' + height, String(MAX_VALUE)];
+
+    for (let y = 0; y < height; y++) {
+        lines.push(Array.from(pixels.subarray(y * width, (y + 1) * width)).join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Plain PGM back to { width, height, pixels }
+function readPgm(text) {
+    // Whitespace separated values, comments run from # to end of line
+    let values = text.replace(/#[^\n]*/g, ' ').trim().split(/\s+/);
+
+    if (values[0] !== 'P2') {
+        throw new Error('Golden images must be plain PGM (P2)');
+    }
+
+    let width = parseInt(values[1], 10);
+    let height = parseInt(values[2], 10);
+    let pixels = Uint8Array.from(values.slice(4, 4 + (width * height)), value => parseInt(value, 10));
+
+    return { width, height, pixels };
+}
+
+export default Harness;
@@ -0,0 +1,7 @@
+// Number as 0x-prefixed, zero-padded, uppercase hex, eg. hex(0x2A0, 4) is '0x02A0'
+// Shared by the CPU, faults, debugger and disassembler so addresses and opcodes read the same everywhere
+function hex(value, digits) {
+    return '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+export default hex;
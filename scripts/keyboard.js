@@ -1,61 +1,223 @@
+// Physical keys are bound to Chip-8 keys by KeyboardEvent.code, see keymaps.js
+// Bindings can be changed and are saved in localStorage for each ROM
+//
+// Presses and releases are queued with the time they happened
+// CPU takes the queue every frame and spreads the events over the frame's instructions,
+// so a quick tap is seen by the program as a press and a release rather than both at once or not at all
+
+import KEYMAPS from "./keymaps.js";
+import { load, save } from "./storage.js";
+import isEditable from "./editable.js";
+
+// Most events kept while the CPU is not taking them, eg. while speed is paused
+const MAX_EVENTS = 256;
+
 class Keyboard {
-    constructor() {
-        this.KEYMAP = {
-            // Map keys on PC keyboard to keys on Chip-8 keyboard
-            49: 0x1, // 1
-            50: 0x2, // 2
-            51: 0x3, // 3
-            52: 0xc, // 4
-            81: 0x4, // Q
-            87: 0x5, // W
-            69: 0x6, // E
-            82: 0xD, // R
-            65: 0x7, // A
-            83: 0x8, // S
-            68: 0x9, // D
-            70: 0xE, // F
-            90: 0xA, // Z
-            88: 0x0, // X
-            67: 0xB, // C
-            86: 0xF  // V
-        }
+    // target: element to listen for key events on, defaults to window
+    // Without a target (eg. running under Node) keys are pressed with keyDown()/keyUp()
+    constructor(target = (typeof window !== 'undefined' ? window : null)) {
+        // Layout used for ROMs without bindings of their own, one of the keys of KEYMAPS
+        // A saved layout that is not one of them falls back to QWERTY
+        let layout = load('chip8-keys-layout');
+        this.layout = (layout in KEYMAPS) ? layout : 'qwerty';
+
+        // Name bindings are saved under, the ROM being played
+        this.profile = null;
+
+        // Map keys on PC keyboard to keys on Chip-8 keyboard, code -> Chip-8 key
+        // Several codes can be bound to the same Chip-8 key
+        this.bindings = Object.assign({}, KEYMAPS[this.layout].bindings);
 
         // Array to track pressed keys
         this.keysPressed = [];
 
-        // Some Chip-8 instructions require waiting for the next keypress.
-        // Initialise this function elsewhere when needed
-        this.onNextKeyPress = null;
+        // Sources holding each Chip-8 key down, eg. 'KeyQ'
+        // A key bound to several sources stays pressed until all of them are released
+        this.pressedBy = [];
+
+        // Presses and releases not yet taken by the CPU, oldest first
+        // { key, pressed, time }, time in milliseconds as from performance.now()
+        this.events = [];
+
+        // When events were last taken
+        this.lastTake = null;
+
+        // While remapping, next key pressed is passed here (by code) instead of pressing a Chip-8 key
+        this.onCapture = null;
+
+        // Gamepads and the touch keypad press keys through this keyboard too
+        // Each adds itself here and has its reset() called after keys are released by reset()
+        this.inputs = [];
+
+        this.reset();
 
         // Handle keyboard input
-        window.addEventListener('keydown', this.onKeyDown.bind(this), false);
-        window.addEventListener('keyup', this.onKeyUp.bind(this), false);
+        if (target) {
+            target.addEventListener('keydown', this.onKeyDown.bind(this), false);
+            target.addEventListener('keyup', this.onKeyUp.bind(this), false);
+        }
+    }
+
+    // Release every key and drop queued events
+    // Called by CPU.reset() and CPU.restore(), so inputs press keys still held down again
+    reset() {
+        this.keysPressed = [];
+        this.pressedBy = [];
+
+        for (let key = 0; key < 16; key++) {
+            this.pressedBy.push(new Set());
+        }
+
+        this.events = [];
+
+        for (let input of this.inputs) {
+            input.reset();
+        }
+    }
+
+    // Hand over queued events, oldest first
+    // Each event gets 'at', how far between the previous take and now it happened (0 to 1)
+    takeEvents() {
+        let now = clock();
+        let since = this.lastTake === null ? now : this.lastTake;
+        let events = this.events;
+
+        for (let event of events) {
+            event.at = now > since ? Math.min(Math.max((event.time - since) / (now - since), 0), 1) : 0;
+        }
+
+        this.events = [];
+        this.lastTake = now;
+
+        return events;
+    }
+
+    // Switch to bindings saved for a ROM, or the layout's bindings if it has none
+    // name: ROM name
+    setProfile(name) {
+        this.profile = name;
+        this.bindings = load('chip8-keys-' + name) || Object.assign({}, KEYMAPS[this.layout].bindings);
+    }
+
+    // Use layout for ROMs without bindings of their own
+    // Current ROM's own bindings are dropped
+    setLayout(layout) {
+        if (!(layout in KEYMAPS)) {
+            throw new Error('Unknown keyboard layout ' + layout);
+        }
+
+        this.layout = layout;
+        this.bindings = Object.assign({}, KEYMAPS[layout].bindings);
+
+        save('chip8-keys-layout', layout);
+
+        if (this.profile !== null) {
+            save('chip8-keys-' + this.profile, null);
+        }
     }
 
+    // Bind physical key (code) to Chip-8 key, replacing whatever it was bound to
+    bind(code, key) {
+        this.bindings[code] = key;
+        this.saveBindings();
+    }
+
+    unbind(code) {
+        delete this.bindings[code];
+        this.saveBindings();
+    }
+
+    // Keep bindings for current ROM
+    // Before any ROM is loaded changes only last until the next one is
+    saveBindings() {
+        if (this.profile !== null) {
+            save('chip8-keys-' + this.profile, this.bindings);
+        }
+    }
+
+    // Codes bound to Chip-8 key
+    codesFor(key) {
+        return Object.keys(this.bindings).filter(code => this.bindings[code] === key);
+    }
+
+    // Printed label for code in current layout, eg. 'KeyQ' is 'A' on AZERTY
+    label(code) {
+        return KEYMAPS[this.layout].labels[code] || code;
+    }
+
+    // Whether key is held down right now
+    // The CPU sees keys through the event queue instead, see CPU.keys
     isKeyPressed(keyCode) {
         // Check if certain key is pressed
         return this.keysPressed[keyCode];
     }
     
     onKeyDown(event) {
-        // Add pressed key to keysPressed array
-        let key = this.KEYMAP[event.which];
-        this.keysPressed[key] = true;
-    
-        // Ensure onNextKeyPress is initialized and pressed key is mapped to Chip-8 key
-        // Mimic waiting until next keypress
-        if (this.onNextKeyPress !== null && key) {
-            this.onNextKeyPress(parseInt(key));
-            this.onNextKeyPress = null;
+        // Remapping, key is not passed to the Chip-8
+        if (this.onCapture !== null) {
+            event.preventDefault();
+
+            let capture = this.onCapture;
+            this.onCapture = null;
+            capture(event.code);
+            return;
+        }
+
+        // Typing in a text field, not playing
+        if (isEditable(event.target)) {
+            return;
+        }
+
+        let key = this.bindings[event.code];
+
+        // Ignore keys not mapped to a Chip-8 key
+        if (key !== undefined) {
+            this.keyDown(key, event.code);
         }
     }
 
     onKeyUp(event) {
-        let key = this.KEYMAP[event.which];
-        this.keysPressed[key] = false;
+        let key = this.bindings[event.code];
+
+        if (key !== undefined) {
+            this.keyUp(key, event.code);
+        }
     }
-}
 
+    // Press a Chip-8 key (0x0 - 0xF)
+    // source: what is pressing it, eg. the code of a keyboard key
+    keyDown(key, source = 'direct') {
+        // Add pressed key to keysPressed array
+        this.pressedBy[key].add(source);
+        this.setKey(key, true);
+    }
+
+    // Release a Chip-8 key (0x0 - 0xF)
+    // Key stays pressed while other sources hold it down
+    keyUp(key, source = 'direct') {
+        this.pressedBy[key].delete(source);
+        this.setKey(key, this.pressedBy[key].size > 0);
+    }
 
+    // Queue an event when key changes between pressed and released
+    // Auto-repeat and a second source pressing a held key change nothing, so are not queued
+    setKey(key, pressed) {
+        if (!!this.keysPressed[key] === pressed) {
+            return;
+        }
+
+        this.keysPressed[key] = pressed;
+        this.events.push({ key, pressed, time: clock() });
+
+        if (this.events.length > MAX_EVENTS) {
+            this.events.shift();
+        }
+    }
+}
+
+// Milliseconds, performance.now() where there is one
+function clock() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
 
 export default Keyboard;
\ No newline at end of file
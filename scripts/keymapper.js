@@ -0,0 +1,124 @@
+// Key remapping panel
+// Shows keys bound to each Chip-8 key as a 4x4 keypad, click + then press a key to add a binding
+// Bindings are kept for the ROM being played, see Keyboard.setProfile()
+// Also used for gamepad buttons, input is anything with the same binding methods as Keyboard
+
+import KEYMAPS, { KEYPAD } from "./keymaps.js";
+
+class KeyMapper {
+    // input: Keyboard or GamepadInput
+    // prefix: start of panel element ids, eg. 'keymap' for #keymap-keys
+    // noun: what is pressed to bind, shown while waiting for it
+    constructor(input, prefix = 'keymap', noun = 'key') {
+        this.input = input;
+        this.noun = noun;
+
+        this.layoutSelect = document.querySelector('#' + prefix + '-layout');
+        this.profileLabel = document.querySelector('#' + prefix + '-profile');
+        this.status = document.querySelector('#' + prefix + '-status');
+        this.keypad = document.querySelector('#' + prefix + '-keys');
+
+        // Only keyboards have layouts
+        if (this.layoutSelect) {
+            for (let layout in KEYMAPS) {
+                let option = document.createElement('option');
+                option.value = layout;
+                option.textContent = KEYMAPS[layout].name;
+                this.layoutSelect.appendChild(option);
+            }
+
+            this.layoutSelect.addEventListener('change', this.onLayoutChange.bind(this), false);
+        }
+
+        // Escape cancels waiting for a key or button
+        document.addEventListener('keydown', this.onKeyDown.bind(this), false);
+
+        this.update();
+    }
+
+    // Redraw keypad with current bindings
+    // Called when ROM changes, as bindings are kept per ROM
+    update() {
+        if (this.layoutSelect) {
+            this.layoutSelect.value = this.input.layout;
+        }
+
+        this.profileLabel.textContent = this.input.profile ? 'Saved for ' + this.input.profile : '';
+
+        this.keypad.textContent = '';
+
+        for (let row = 0; row < 4; row++) {
+            let tableRow = document.createElement('tr');
+
+            for (let col = 0; col < 4; col++) {
+                let key = KEYPAD[(row * 4) + col];
+                let cell = document.createElement('td');
+                let name = document.createElement('strong');
+
+                name.textContent = key.toString(16).toUpperCase();
+                cell.appendChild(name);
+
+                // Bound keys, click to remove
+                for (let code of this.input.codesFor(key)) {
+                    let remove = document.createElement('button');
+
+                    remove.textContent = this.input.label(code);
+                    remove.title = 'Unbind ' + code;
+                    remove.addEventListener('click', this.onRemoveClick.bind(this, code), false);
+
+                    cell.appendChild(remove);
+                }
+
+                let add = document.createElement('button');
+
+                add.textContent = '+';
+                add.title = 'Bind another ' + this.noun;
+                add.addEventListener('click', this.onAddClick.bind(this, key), false);
+
+                cell.appendChild(add);
+                tableRow.appendChild(cell);
+            }
+
+            this.keypad.appendChild(tableRow);
+        }
+    }
+
+    // Wait for next key or button pressed and bind it to Chip-8 key
+    capture(key) {
+        let self = this;
+
+        this.status.textContent = 'Press a ' + this.noun + ' for ' + key.toString(16).toUpperCase() + ', Escape to cancel';
+
+        this.input.onCapture = function(code) {
+            self.status.textContent = '';
+            self.input.bind(code, key);
+            self.update();
+        };
+    }
+
+    // Runs before Keyboard sees the key, listeners on document come before window
+    onKeyDown(event) {
+        if (event.code === 'Escape' && this.input.onCapture !== null) {
+            this.input.onCapture = null;
+            this.status.textContent = '';
+        }
+    }
+
+    onAddClick(key, event) {
+        // Button keeps focus otherwise, so Space or Enter would press it again
+        event.target.blur();
+        this.capture(key);
+    }
+
+    onRemoveClick(code) {
+        this.input.unbind(code);
+        this.update();
+    }
+
+    onLayoutChange() {
+        this.input.setLayout(this.layoutSelect.value);
+        this.update();
+    }
+}
+
+export default KeyMapper;
@@ -0,0 +1,64 @@
+// Keyboard layouts for the Chip-8 keypad
+// Keys are bound by KeyboardEvent.code, which names where a key is rather than the letter printed on it
+// ('KeyQ' is the key left of 'KeyW' on any layout), so the same block of 16 keys is used everywhere
+// Each layout only changes the labels shown when remapping keys
+//
+// Chip-8 keypad       Keys (QWERTY)
+// 1 2 3 C             1 2 3 4
+// 4 5 6 D             Q W E R
+// 7 8 9 E             A S D F
+// A 0 B F             Z X C V
+
+// Chip-8 keys in keypad order, row by row
+const KEYPAD = [
+    0x1, 0x2, 0x3, 0xC,
+    0x4, 0x5, 0x6, 0xD,
+    0x7, 0x8, 0x9, 0xE,
+    0xA, 0x0, 0xB, 0xF
+];
+
+// Block of keys below and including 1 to 4, code -> Chip-8 key
+const BINDINGS = {
+    Digit1: 0x1, Digit2: 0x2, Digit3: 0x3, Digit4: 0xC,
+    KeyQ: 0x4, KeyW: 0x5, KeyE: 0x6, KeyR: 0xD,
+    KeyA: 0x7, KeyS: 0x8, KeyD: 0x9, KeyF: 0xE,
+    KeyZ: 0xA, KeyX: 0x0, KeyC: 0xB, KeyV: 0xF
+};
+
+// Codes in the same order as labels below
+const CODES = Object.keys(BINDINGS);
+
+// Printed labels of the block of keys, row by row
+function labels(rows) {
+    let chars = rows.join('').split('');
+    let result = {};
+
+    for (let i = 0; i < CODES.length; i++) {
+        result[CODES[i]] = chars[i];
+    }
+
+    return result;
+}
+
+const KEYMAPS = {
+    qwerty: {
+        name: 'QWERTY',
+        bindings: BINDINGS,
+        labels: labels(['1234', 'QWER', 'ASDF', 'ZXCV'])
+    },
+
+    azerty: {
+        name: 'AZERTY',
+        bindings: BINDINGS,
+        labels: labels(['1234', 'AZER', 'QSDF', 'WXCV'])
+    },
+
+    dvorak: {
+        name: 'Dvorak',
+        bindings: BINDINGS,
+        labels: labels(['1234', '\',.P', 'AOEU', ';QJK'])
+    }
+};
+
+export { KEYPAD };
+export default KEYMAPS;
@@ -0,0 +1,294 @@
+// Input movies
+// A run is recorded as the ROM, quirks, RNG seed and the key events of every frame
+// Replaying feeds the same events into the same frames, so the machine does exactly the same again
+// Movies are JSON files, eg. attached to a bug report in place of a list of keypresses
+
+import Random from "./random.js";
+import { encodeBytes, decodeBytes } from "./savestate.js";
+import download from "./download.js";
+
+// Bump when the format changes, older movies are rejected rather than replayed wrongly
+const MOVIE_VERSION = 1;
+
+// Decimal places kept of when in a frame each key event happened
+// Events are rounded before the CPU sees them, so recording and replay deliver them at the same instruction
+const EVENT_PRECISION = 4;
+
+class Movie {
+    constructor(cpu) {
+        this.cpu = cpu;
+
+        // 'record', 'play' or null
+        this.mode = null;
+
+        // How the machine started, see serialize()
+        this.seed = 0;
+        this.quirks = null;
+        this.vipTiming = false;
+        this.strict = true;
+        this.rom = null;
+
+        // One entry per frame
+        // Frames without key events are just the number of instructions,
+        // others are [instructions, [key, pressed, at], ...]
+        this.frames = [];
+
+        // Next frame to replay
+        this.position = 0;
+
+        // Without a page (eg. running under Node) movies are driven by calling methods
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.status = document.querySelector('#movie-status');
+        this.fileInput = document.querySelector('#movie-file');
+
+        document.querySelector('#movie-record').addEventListener('click', this.onRecord.bind(this), false);
+        document.querySelector('#movie-stop').addEventListener('click', this.onStop.bind(this), false);
+        document.querySelector('#movie-download').addEventListener('click', this.onDownload.bind(this), false);
+        this.fileInput.addEventListener('change', this.onFileInput.bind(this), false);
+    }
+
+    // True while recording or replaying
+    get active() {
+        return this.mode !== null;
+    }
+
+    // Restart current ROM from power on with a new seed and start recording
+    // seed: for Cxkk, a new one is picked if not given
+    record(seed = Random.newSeed()) {
+        let cpu = this.cpu;
+
+        if (!cpu.rom) {
+            throw new Error('No ROM loaded to record');
+        }
+
+        // Quirk profiles are shared, keep a copy as it was when recording started
+        this.quirks = Object.assign({}, cpu.quirks);
+        this.vipTiming = cpu.vipTiming;
+        this.strict = cpu.strict;
+        this.rom = cpu.rom.slice();
+        this.seed = seed;
+        this.frames = [];
+        this.position = 0;
+
+        this.start();
+        this.mode = 'record';
+    }
+
+    // Replay a movie made by serialize()
+    play(json) {
+        let movie = JSON.parse(json);
+
+        if (movie.version !== MOVIE_VERSION) {
+            throw new Error('Unsupported movie version ' + movie.version);
+        }
+
+        this.quirks = movie.quirks;
+        this.vipTiming = movie.vipTiming;
+        this.strict = movie.strict;
+        this.rom = decodeBytes(movie.rom);
+        this.seed = movie.seed;
+        this.frames = movie.frames;
+        this.position = 0;
+
+        this.start();
+
+        // Nothing to replay in an empty movie, machine is just left at the start
+        this.mode = this.frames.length > 0 ? 'play' : null;
+    }
+
+    // Stop recording or replaying, machine carries on from where it is with live input
+    // A recording can still be downloaded afterwards
+    stop() {
+        this.mode = null;
+    }
+
+    // Stop because the machine changed outside of the movie's frames, eg. a reset, loading a save state
+    // or a debugger step, replaying would not do the same from here
+    // Called from chip8.js, and by frame() when settings the movie started with have changed
+    interrupt(reason) {
+        if (!this.active) {
+            return;
+        }
+
+        let frames = (this.mode === 'record') ? this.frames.length : this.position;
+
+        this.stop();
+
+        if (this.status) {
+            this.status.textContent = 'Stopped by ' + reason + ', ' + frames + ' frames';
+        }
+    }
+
+    // Whether quirks, VIP timing or fault mode differ from when the movie started
+    // They are only kept once per movie, so a change part way would not be replayed
+    settingsChanged() {
+        let cpu = this.cpu;
+
+        if (cpu.vipTiming !== this.vipTiming || cpu.strict !== this.strict) {
+            return true;
+        }
+
+        return Object.keys(this.quirks).some(name => cpu.quirks[name] !== this.quirks[name]);
+    }
+
+    // Put machine in the state the movie starts from
+    start() {
+        let cpu = this.cpu;
+
+        cpu.quirks = this.quirks;
+        cpu.vipTiming = this.vipTiming;
+        cpu.strict = this.strict;
+
+        // RPL flags and memory size must match too, so power cycle rather than reset
+        cpu.powerCycle(false);
+        cpu.loadProgramIntoMemory(this.rom);
+        cpu.random.seed(this.seed);
+    }
+
+    // Run one frame, in place of cpu.frame() in the scheduler
+    // instructions: number to run, replaced by the recorded number when replaying
+    frame(instructions) {
+        let cpu = this.cpu;
+
+        if (this.active && this.settingsChanged()) {
+            this.interrupt('a settings change');
+        }
+
+        // Nothing runs while the debugger has the machine stopped, so there is no frame to keep
+        if (!this.active || (cpu.debugger && cpu.debugger.paused)) {
+            cpu.frame(instructions);
+            return;
+        }
+
+        if (this.mode === 'record') {
+            let events = cpu.keyboard.takeEvents().map(function(event) {
+                return { key: event.key, pressed: event.pressed, at: round(event.at) };
+            });
+
+            let frame = events.length === 0 ? instructions : [instructions].concat(events.map(function(event) {
+                return [event.key, event.pressed ? 1 : 0, event.at];
+            }));
+
+            cpu.frame(instructions, events);
+
+            // A breakpoint stopping the machine part way through interrupts the recording,
+            // the frame would replay whole so it is left out
+            if (this.mode === 'record') {
+                this.frames.push(frame);
+            }
+
+            return;
+        }
+
+        // Live keys are ignored while replaying
+        cpu.keyboard.takeEvents();
+
+        let recorded = this.frames[this.position++];
+
+        if (typeof recorded === 'number') {
+            cpu.frame(recorded, []);
+        } else {
+            cpu.frame(recorded[0], recorded.slice(1).map(function(event) {
+                return { key: event[0], pressed: event[1] === 1, at: event[2] };
+            }));
+        }
+
+        // End of movie, hand back to the player
+        if (this.position >= this.frames.length) {
+            this.stop();
+
+            if (this.status) {
+                this.status.textContent = 'Finished, ' + this.frames.length + ' frames';
+            }
+        }
+    }
+
+    // Recorded movie as a JSON string
+    serialize() {
+        return JSON.stringify({
+            version: MOVIE_VERSION,
+            seed: this.seed,
+            quirks: this.quirks,
+            vipTiming: this.vipTiming,
+            strict: this.strict,
+            rom: encodeBytes(this.rom),
+            frames: this.frames
+        });
+    }
+
+    // Save movie as a file
+    download() {
+        download(new Blob([this.serialize()], { type: 'application/json' }), 'chip8-movie.json');
+    }
+
+    // Replay a movie file made by download()
+    upload(file) {
+        let reader = new FileReader();
+        let self = this;
+
+        reader.onload = function() {
+            try {
+                self.play(reader.result);
+            } catch (error) {
+                self.status.textContent = error.message;
+            }
+        }
+
+        reader.readAsText(file);
+    }
+
+    // Show progress in movie panel
+    // Called in step() in chip8.js every animation frame
+    update() {
+        if (!this.status || !this.active) {
+            return;
+        }
+
+        if (this.mode === 'record') {
+            this.status.textContent = 'Recording frame ' + this.frames.length;
+        } else {
+            this.status.textContent = 'Playing frame ' + this.position + ' of ' + this.frames.length;
+        }
+    }
+
+    onRecord() {
+        try {
+            this.record();
+        } catch (error) {
+            this.status.textContent = error.message;
+        }
+    }
+
+    onStop() {
+        let frames = this.frames.length;
+
+        this.stop();
+        this.status.textContent = 'Stopped, ' + frames + ' frames';
+    }
+
+    onDownload() {
+        if (this.rom) {
+            this.download();
+        }
+    }
+
+    onFileInput() {
+        if (this.fileInput.files.length > 0) {
+            this.upload(this.fileInput.files[0]);
+        }
+
+        // Allow picking the same file again
+        this.fileInput.value = '';
+    }
+}
+
+// Fraction of a frame rounded to EVENT_PRECISION decimal places
+function round(at) {
+    let scale = Math.pow(10, EVENT_PRECISION);
+    return Math.round(at * scale) / scale;
+}
+
+export default Movie;
@@ -0,0 +1,131 @@
+// Decoding shared by CPU.executeInstruction(), the disassembler and the debugger
+// Splits an opcode into the operands packed inside it, and says which instruction it is
+
+// nnn or addr - A 12-bit value, the lowest 12 bits of the instruction
+// n or nibble - A 4-bit value, the lowest 4 bits of the instruction
+// x - A 4-bit value, the lower 4 bits of the high byte of the instruction
+// y - A 4-bit value, the upper 4 bits of the low byte of the instruction
+// kk or byte - An 8-bit value, the lowest 8 bits of the instruction
+
+// x and y are used by nearly every instruction
+// 4 bits (hald a byte/nibble) each
+// eg. instruction 0x5460
+// High byte: 0x54
+// Low byte: 0x60
+// Lower 4 bits of high byte: 0x4
+// Upper 4 bits of low byte: 0x6
+// x = 0x4, y = 0x6
+
+// eg. instruction 0x5460
+// & (bitwise AND) instruction with hex value 0x0F00 -> 0x0400
+// Shift 8 bits right -> 0x04 or 0x4
+// & instruction with 0x00F0 -> 0x0060
+// Shift 4 bits right -> 0x006 or 0x6
+
+function decode(opcode) {
+    return {
+        // Only need 2nd nibble, grab value of 2nd nibble
+        // Shift it right 8 bits to remove everything but that 2nd nibble
+        x: (opcode & 0x0F00) >> 8,
+
+        // Only need 3rd nibble, grab value of 3rd nibble
+        // Shift it right 4 bits to remove everything but that 3rd nibble
+        y: (opcode & 0x00F0) >> 4,
+
+        n: (opcode & 0xF),
+        kk: (opcode & 0xFF),
+        nnn: (opcode & 0xFFF)
+    };
+}
+
+// Every instruction of every platform (CHIP-8, SUPER-CHIP, XO-CHIP) as a pattern
+// Which platforms have each one is in ADDED_BY
+// Hex digits must match, x, y, n and k match any nibble
+// The CPU faults on anything else and the disassembler treats it as data, so both agree on what is code
+// 0nnn (SYS) comes after the other 0 instructions, as it matches them too
+// F000 is followed by a 16-bit address, making it 4 bytes long
+const OPCODES = [
+    '00Cn', '00Dn', '00E0', '00EE', '00FB', '00FC', '00FD', '00FE', '00FF', '0nnn',
+    '1nnn', '2nnn', '3xkk', '4xkk', '5xy0', '5xy2', '5xy3', '6xkk', '7xkk',
+    '8xy0', '8xy1', '8xy2', '8xy3', '8xy4', '8xy5', '8xy6', '8xy7', '8xyE', '9xy0',
+    'Annn', 'Bnnn', 'Cxkk', 'Dxyn', 'Ex9E', 'ExA1',
+    'F000', 'Fx01', 'F002', 'Fx07', 'Fx0A', 'Fx15', 'Fx18', 'Fx1E', 'Fx29', 'Fx30',
+    'Fx33', 'Fx3A', 'Fx55', 'Fx65', 'Fx75', 'Fx85'
+];
+
+// Instruction sets, each has every instruction of the ones before it as well as its own
+// CHIP-48 runs CHIP-8's, profiles in quirks.js say which set they run
+const INSTRUCTION_SETS = ['CHIP8', 'SCHIP', 'XOCHIP'];
+
+// Set each instruction was added in, anything not listed is CHIP-8
+const ADDED_BY = {
+    '00Cn': 'SCHIP', '00FB': 'SCHIP', '00FC': 'SCHIP', '00FD': 'SCHIP', '00FE': 'SCHIP', '00FF': 'SCHIP',
+    'Fx30': 'SCHIP', 'Fx75': 'SCHIP', 'Fx85': 'SCHIP',
+    '00Dn': 'XOCHIP', '5xy2': 'XOCHIP', '5xy3': 'XOCHIP', 'F000': 'XOCHIP', 'Fx01': 'XOCHIP', 'F002': 'XOCHIP',
+    'Fx3A': 'XOCHIP'
+};
+
+// Position in INSTRUCTION_SETS of the set each of OPCODES was added in
+const LEVELS = OPCODES.map(pattern => INSTRUCTION_SETS.indexOf(ADDED_BY[pattern] || 'CHIP8'));
+
+// Letters in a pattern that match any nibble
+const WILDCARDS = 'xynk';
+
+// Pattern such as 'Dxyn' into mask and value
+// An opcode matches when opcode & mask === value
+function parsePattern(pattern) {
+    if (pattern.length !== 4) {
+        throw new Error('Opcode pattern must be 4 characters: ' + pattern);
+    }
+
+    let mask = 0;
+    let value = 0;
+
+    for (let char of pattern) {
+        mask <<= 4;
+        value <<= 4;
+
+        if (WILDCARDS.includes(char)) {
+            continue;
+        }
+
+        let nibble = parseInt(char, 16);
+
+        if (isNaN(nibble)) {
+            throw new Error('Invalid opcode pattern ' + pattern);
+        }
+
+        mask |= 0xF;
+        value |= nibble;
+    }
+
+    return { pattern, mask, value };
+}
+
+// Position in OPCODES + 1 of every 16-bit opcode, 0 for opcodes that are not instructions
+// Worked out once, so identifying an opcode is a single lookup for each instruction run
+const TABLE = new Uint8Array(0x10000);
+
+OPCODES.map(parsePattern).forEach(function({ mask, value }, index) {
+    for (let opcode = 0; opcode < 0x10000; opcode++) {
+        if (!TABLE[opcode] && (opcode & mask) === value) {
+            TABLE[opcode] = index + 1;
+        }
+    }
+});
+
+// Pattern of instruction opcode is, eg. 0xD125 is 'Dxyn', null if it is not an instruction
+// instructions: one of INSTRUCTION_SETS, instructions only later sets have are null too
+// An instruction a platform lacks is not taken for another, eg. 00FF is not 0nnn on CHIP-8
+function identify(opcode, instructions = 'XOCHIP') {
+    let index = TABLE[opcode] - 1;
+
+    if (index < 0 || LEVELS[index] > INSTRUCTION_SETS.indexOf(instructions)) {
+        return null;
+    }
+
+    return OPCODES[index];
+}
+
+export { OPCODES, INSTRUCTION_SETS, identify, parsePattern };
+export default decode;
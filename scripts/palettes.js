@@ -0,0 +1,38 @@
+// Colour palettes for the display
+// Each palette is 4 colours, one for each combination of XO-CHIP bitplanes a pixel is on in
+// 0: background, 1: plane 1 (foreground of plain CHIP-8 ROMs), 2: plane 2, 3: both planes
+// Colours are #rgb, #rrggbb or #rrggbbaa, a fully transparent background shows the page behind
+
+const PALETTES = {
+    // Black on the page, as the emulator always drew
+    classic: {
+        name: 'Classic',
+        colors: ['#00000000', '#000000', '#888888', '#444444']
+    },
+
+    // Green phosphor monitor
+    green: {
+        name: 'Green phosphor',
+        colors: ['#001a00', '#33ff66', '#1a8033', '#aaffbb']
+    },
+
+    // Amber phosphor monitor
+    amber: {
+        name: 'Amber phosphor',
+        colors: ['#1a0d00', '#ffb000', '#805800', '#ffe0a0']
+    },
+
+    // White on black, like the COSMAC VIP on a television
+    television: {
+        name: 'Television',
+        colors: ['#000000', '#ffffff', '#888888', '#cccccc']
+    },
+
+    // Octo's default colours for XO-CHIP
+    octo: {
+        name: 'Octo',
+        colors: ['#996600', '#ffcc00', '#ff6600', '#662200']
+    }
+};
+
+export default PALETTES;
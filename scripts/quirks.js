@@ -0,0 +1,78 @@
+// Quirks are the opcodes different Chip-8 interpreters disagree on
+// ROMs are written against one interpreter, so pick the profile matching the ROM
+//
+// vfReset: 8xy1, 8xy2, 8xy3 set VF to 0 after the operation
+// memory: Fx55 and Fx65 move I past the last register (I += x + 1)
+// memoryIncrementByX: with memory, I is only moved by x (I += x), as CHIP-48 did
+// shifting: 8xy6 and 8xyE shift Vx in place, ignoring Vy
+// jumping: Bnnn jumps to xnn + Vx instead of nnn + V0
+// clipping: sprites drawn past the edge of the screen are cut off instead of wrapping
+// displayWait: Dxyn waits for vertical blank, so at most one sprite is drawn per frame
+// keyRelease: Fx0A waits for a key to be pressed and released, not just pressed
+// memorySize: bytes of memory the platform has, XO-CHIP extends it to 64KB
+// instructions: instruction set the platform runs, CHIP8, SCHIP or XOCHIP (see opcodes.js)
+//   Opcodes only later sets have are unknown and fault
+
+const QUIRKS = {
+    // Original interpreter on the COSMAC VIP
+    COSMAC_VIP: {
+        name: 'COSMAC VIP',
+        vfReset: true,
+        memory: true,
+        memoryIncrementByX: false,
+        shifting: false,
+        jumping: false,
+        clipping: true,
+        displayWait: true,
+        keyRelease: true,
+        memorySize: 0x1000,
+        instructions: 'CHIP8'
+    },
+
+    // CHIP-48 on the HP-48 calculators
+    CHIP48: {
+        name: 'CHIP-48',
+        vfReset: false,
+        memory: true,
+        memoryIncrementByX: true,
+        shifting: true,
+        jumping: true,
+        clipping: true,
+        displayWait: false,
+        keyRelease: false,
+        memorySize: 0x1000,
+        instructions: 'CHIP8'
+    },
+
+    // SUPER-CHIP 1.1
+    SCHIP: {
+        name: 'SUPER-CHIP',
+        vfReset: false,
+        memory: false,
+        memoryIncrementByX: false,
+        shifting: true,
+        jumping: true,
+        clipping: true,
+        displayWait: false,
+        keyRelease: false,
+        memorySize: 0x1000,
+        instructions: 'SCHIP'
+    },
+
+    // XO-CHIP (Octo)
+    XOCHIP: {
+        name: 'XO-CHIP',
+        vfReset: false,
+        memory: true,
+        memoryIncrementByX: false,
+        shifting: false,
+        jumping: false,
+        clipping: false,
+        displayWait: false,
+        keyRelease: true,
+        memorySize: 0x10000,
+        instructions: 'XOCHIP'
+    }
+};
+
+export default QUIRKS;
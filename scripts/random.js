@@ -0,0 +1,34 @@
+// Seedable random numbers for Cxkk
+// The same seed always gives the same numbers, so a run can be recorded and replayed exactly (see movie.js)
+// Mulberry32, 32 bits of state, plenty for a byte at a time
+
+class Random {
+    // seed: 32-bit number, picked at random if not given
+    constructor(seed = Random.newSeed()) {
+        this.state = seed >>> 0;
+    }
+
+    // Random seed for a new run
+    static newSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Start the sequence again from seed
+    seed(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Next number, 0 to 255
+    nextByte() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        // Top 8 bits of result
+        return ((t ^ (t >>> 14)) >>> 24) & 0xFF;
+    }
+}
+
+export default Random;
@@ -2,90 +2,411 @@
 // Initialise Canvas
 // Toggle pixels within display
 // Render pixels on canvas
+//
+// Drawing is left to a backend, which is handed the colour of every pixel as RGBA bytes in this.frame
+// Backends have a single method, draw(renderer, region), and are picked with setBackend()
+// region is the rectangle of pixels that changed, the rest of the canvas is left as it is
+// webgl: WebGLBackend, stretches frame over the canvas as a texture, falls back to canvas if WebGL is missing
+// canvas: CanvasBackend, fillRect for every pixel
+
+import CanvasBackend from "./canvasbackend.js";
+import WebGLBackend from "./webglbackend.js";
+import PALETTES from "./palettes.js";
 
 class Renderer {
-    constructor(scale) {
+    // canvas: element to draw on, defaults to first canvas on the page
+    // Without a canvas (eg. running under Node) display is kept in memory only
+    // backend: 'webgl' or 'canvas'
+    constructor(scale, canvas = (typeof document !== 'undefined' ? document.querySelector('canvas') : null), backend = 'webgl') {
         this.cols = 64;
         this.rows = 32;
-        
+
+        // SUPER-CHIP high resolution mode doubles cols and rows (128x64)
+        this.hires = false;
+
+        // XO-CHIP bitplanes selected for drawing, clearing and scrolling (Fn01)
+        // Bit 0 is plane 1, bit 1 is plane 2
+        this.planes = 1;
+
+        // Colour for each combination of planes, see palettes.js
+        // 0: neither plane (background), 1: plane 1, 2: plane 2, 3: both planes
+        this.setPalette(PALETTES.classic.colors);
+
+        // Phosphor persistence, share of a pixel's colour kept each render after it goes off
+        // 0 turns pixels off straight away, closer to 1 leaves a longer afterglow
+        // Games erase sprites by XORing them and redraw them straight after, the afterglow hides the flicker
+        this.persistence = 0;
+
+        // Darken the gaps between rows, like a CRT
+        this.scanlines = false;
+
         // scale: scale display to change pixel size
         this.scale = scale;
 
-        this.canvas = document.querySelector('canvas');
-        this.ctx = this.canvas.getContext('2d');
+        // Size of a single pixel on canvas
+        // Canvas keeps its size, so pixels are half as big in high resolution mode
+        this.pixelSize = scale;
+
+        this.canvas = canvas;
+        this.backend = null;
+
+        // 'webgl' or 'canvas', whichever backend is actually drawing
+        this.backendType = null;
+
+        // Array represents pixels, on (1) or off (0)
+        // With XO-CHIP bitplanes each value is a mask of planes the pixel is on in
+        this.display = new Uint8Array(this.cols * this.rows);
+
+        // Rectangle of pixels changed since last render, null when nothing changed
+        // { left, top, right, bottom }, right and bottom are exclusive
+        // Frames where nothing was drawn are not rendered at all
+        this.dirty = null;
+
+        // Colour of every pixel last rendered, 4 bytes (RGBA) each
+        this.frame = new Uint8ClampedArray(this.cols * this.rows * 4);
+
+        // Same colours unrounded, so slow phosphor fades do not get stuck
+        this.glow = new Float32Array(this.cols * this.rows * 4);
 
+        if (this.canvas) {
+            this.setBackend(backend);
+        }
+
+        this.invalidate();
+    }
+
+    // type: 'webgl' or 'canvas'
+    // Falls back to canvas when WebGL is not available
+    setBackend(type) {
+        // A canvas only ever gives one kind of context, so switching backend needs a fresh canvas
+        if (this.backend) {
+            let canvas = this.canvas.cloneNode(false);
+            this.canvas.replaceWith(canvas);
+            this.canvas = canvas;
+        }
+
+        // Canvas keeps its size, display is scaled to fit
         this.canvas.width = this.cols * this.scale;
         this.canvas.height = this.rows * this.scale;
 
-        // Array represents pixels, on (1) or off (0)
-        this.display = new Array(this.cols * this.rows);
+        this.backend = null;
 
+        if (type === 'webgl') {
+            this.backend = WebGLBackend.create(this.canvas);
+        } else if (type !== 'canvas') {
+            throw new Error('Unknown renderer backend ' + type);
+        }
+
+        if (this.backend) {
+            this.backendType = 'webgl';
+        } else {
+            this.backend = new CanvasBackend(this.canvas);
+            this.backendType = 'canvas';
+        }
+
+        // New canvas is blank
+        this.invalidate();
     }
 
-    setPixel(x,y) {
-        // Modify display array when pixel toggles on or off
-        // If pixel positioned outside bounds, wrap to opposite side
-        if (x > this.cols) {
-            x -= this.cols;
-        } else if (x < 0) {
-            x += this.cols;
+    // colors: 4 colours, see palettes.js
+    setPalette(colors) {
+        this.palette = colors.slice();
+
+        // RGBA bytes of each colour, for building frame
+        this.colors = this.palette.map(parseColor);
+
+        // Every pixel changes colour
+        this.invalidate();
+    }
+
+    // Repaint whole display on next render
+    // Needed after changing anything that affects every pixel, eg. scanlines
+    invalidate() {
+        this.dirty = { left: 0, top: 0, right: this.cols, bottom: this.rows };
+    }
+
+    // Add rectangle to region repainted on next render
+    markDirty(left, top, right, bottom) {
+        // Only pixels on the display can be repainted
+        left = Math.max(left, 0);
+        top = Math.max(top, 0);
+        right = Math.min(right, this.cols);
+        bottom = Math.min(bottom, this.rows);
+
+        if (left >= right || top >= bottom) {
+            return;
         }
 
-        if (y > this.rows) {
-            y -= this.rows;
-        } else if (y < 0) {
-            y += this.rows;
+        if (!this.dirty) {
+            this.dirty = { left, top, right, bottom };
+            return;
         }
 
+        this.dirty.left = Math.min(this.dirty.left, left);
+        this.dirty.top = Math.min(this.dirty.top, top);
+        this.dirty.right = Math.max(this.dirty.right, right);
+        this.dirty.bottom = Math.max(this.dirty.bottom, bottom);
+    }
+
+    // plane: bitplane to toggle pixel in, plane 1 unless drawing XO-CHIP colour sprites
+    setPixel(x, y, plane = 1) {
+        // Modify display array when pixel toggles on or off
+        // If pixel positioned outside bounds, wrap to opposite side
+        // Works for any distance outside, x of 64 is column 0, x of -1 is the last column
+        x = wrap(x, this.cols);
+        y = wrap(y, this.rows);
+
         // Location of pixel
         let pixelLoc = x + (y * this.cols);
 
         // Sprites are XORed onto display
         // Toggle value at pixelLoc (0 to 1 or 1 to 0)
         // 1 = draw, 0 = erased
-        this.display[pixelLoc] ^= 1;
+        this.display[pixelLoc] ^= plane;
+
+        this.markDirty(x, y, x + 1, y + 1);
 
         // If return true, erase
         // If return false, nothing erase
-        return !this.display[pixelLoc];
+        return !(this.display[pixelLoc] & plane);
+
+    }
 
+    // Draw sprite with its top left corner at (x, y), XORed onto plane
+    // rows: one number per row of the sprite, leftmost pixel in the highest of width bits
+    // Origin always wraps around the screen, pixels past the edge are cut off when clip is true
+    // and wrap around to the opposite side otherwise
+    // Returns true if any pixel was erased (collision, Dxyn sets VF)
+    drawSprite(x, y, rows, width, plane = 1, clip = false) {
+        x = wrap(x, this.cols);
+        y = wrap(y, this.rows);
+
+        let collision = false;
+
+        for (let row = 0; row < rows.length; row++) {
+            // Rows past the bottom edge
+            if (clip && y + row >= this.rows) {
+                break;
+            }
+
+            for (let col = 0; col < width; col++) {
+                // Columns past the right edge
+                if (clip && x + col >= this.cols) {
+                    break;
+                }
+
+                // 0 -> sprite does not have pixel at location
+                if (!(rows[row] & (1 << (width - 1 - col)))) {
+                    continue;
+                }
+
+                // Pixels past the edge wrap in setPixel
+                if (this.setPixel(x + col, y + row, plane)) {
+                    collision = true;
+                }
+            }
+        }
+
+        return collision;
     }
 
     clear() {
-        this.display = new Array(this.cols * this.rows);
+        // Only selected planes are cleared
+        for (let i = 0; i < this.cols * this.rows; i++) {
+            this.display[i] &= ~this.planes;
+        }
+
+        this.invalidate();
+    }
+
+    // Back to lores, plane 1 and a blank display
+    reset() {
+        this.selectPlanes(1);
+        this.setResolution(false);
+    }
+
+    // Copy of display state for CPU.snapshot()
+    snapshot() {
+        return {
+            hires: this.hires,
+            planes: this.planes,
+            display: this.display.slice()
+        };
+    }
+
+    // Put display back into state taken by snapshot()
+    restore(snapshot) {
+        this.setResolution(snapshot.hires);
+        this.selectPlanes(snapshot.planes);
+
+        this.display = snapshot.display.slice();
+        this.invalidate();
+    }
+
+    // Select bitplanes (Fn01)
+    selectPlanes(planes) {
+        this.planes = planes;
+    }
+
+    // Switch between 64x32 (lores) and 128x64 (hires) display
+    // 00FE and 00FF, display is cleared when switching
+    setResolution(hires) {
+        this.hires = hires;
+
+        this.cols = hires ? 128 : 64;
+        this.rows = hires ? 64 : 32;
+
+        this.pixelSize = hires ? this.scale / 2 : this.scale;
+
+        // Display is resized, every plane is cleared
+        this.display = new Uint8Array(this.cols * this.rows);
+
+        this.frame = new Uint8ClampedArray(this.cols * this.rows * 4);
+        this.glow = new Float32Array(this.cols * this.rows * 4);
+
+        this.invalidate();
+    }
+
+    // Scroll display n pixels down (00Cn)
+    // Rows scrolled in at the top are blank
+    scrollDown(n) {
+        this.shiftDisplay(0, n);
+    }
+
+    // Scroll display n pixels up (00Dn, XO-CHIP)
+    scrollUp(n) {
+        this.shiftDisplay(0, -n);
+    }
+
+    // Scroll display n pixels left (00FC)
+    scrollLeft(n) {
+        this.shiftDisplay(-n, 0);
+    }
+
+    // Scroll display n pixels right (00FB)
+    scrollRight(n) {
+        this.shiftDisplay(n, 0);
+    }
+
+    // Move every pixel in selected planes by dx, dy
+    // Pixels moved off screen are lost, they do not wrap
+    shiftDisplay(dx, dy) {
+        let shifted = new Uint8Array(this.cols * this.rows);
+
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                let fromX = x - dx;
+                let fromY = y - dy;
+
+                // Unselected planes stay where they are
+                let pixel = this.display[x + (y * this.cols)] & ~this.planes;
+
+                if (fromX >= 0 && fromX < this.cols && fromY >= 0 && fromY < this.rows) {
+                    pixel |= this.display[fromX + (fromY * this.cols)] & this.planes;
+                }
+
+                shifted[x + (y * this.cols)] = pixel;
+            }
+        }
+
+        this.display = shifted;
+        this.invalidate();
     }
 
     render() {
         // Render pixels in display array onto screen
         // 60 times per second
 
-        // Clears display every render cycle, typical for a render loop
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        // Headless, nothing to draw on
+        if (!this.backend) {
+            return;
+        }
 
-        // Loop through display array
-        for (let i = 0; i < this.cols * this.rows; i++) {
-            // Grabs x position of pixel based off of 'i'
-            let x = (i % this.cols) * this.scale;
+        // Nothing drawn or fading since last render, canvas already shows it
+        if (!this.dirty) {
+            return;
+        }
+
+        let region = this.dirty;
+        this.dirty = null;
+
+        // Pixels still fading out have to be drawn again next render
+        if (this.updateFrame(region)) {
+            this.markDirty(region.left, region.top, region.right, region.bottom);
+        }
+
+        this.backend.draw(this, region);
+    }
+
+    // Work out colour of every pixel in region into frame
+    // Returns true if any of them are still fading out
+    updateFrame(region) {
+        let glow = this.glow;
+        let fading = false;
+
+        for (let y = region.top; y < region.bottom; y++) {
+            for (let x = region.left; x < region.right; x++) {
+                let i = x + (y * this.cols);
+
+                // Set pixel color from planes it is on in
+                let color = this.colors[this.display[i]];
 
-            // Grabs y position of pixel based off of 'i'
-            let y = Math.floor(i / this.cols) * this.scale;
+                for (let channel = 0; channel < 4; channel++) {
+                    let index = (i * 4) + channel;
 
-            // If value at this.display[i] == 1, then draw pixel
-            if (this.display[i]) {
-                // Set pixel color to black
-                this.ctx.fillStyle = '#000';
+                    if (this.display[i] || !this.persistence) {
+                        // Lit pixels show up at full brightness straight away
+                        glow[index] = color[channel];
+                    } else {
+                        // Unlit pixels fade towards background
+                        glow[index] = color[channel] + ((glow[index] - color[channel]) * this.persistence);
 
-                // Place a pixel at position (x, y) with width and height of scale
-                this.ctx.fillRect(x, y, this.scale, this.scale);
+                        // Close enough to round to background
+                        if (Math.abs(glow[index] - color[channel]) < 0.5) {
+                            glow[index] = color[channel];
+                        } else {
+                            fading = true;
+                        }
+                    }
+
+                    // Rounded and clamped to a byte
+                    this.frame[index] = glow[index];
+                }
             }
         }
+
+        return fading;
+    }
+}
+
+// Position wrapped into 0 to size - 1, including negative positions
+function wrap(position, size) {
+    return ((position % size) + size) % size;
+}
+
+// '#rgb', '#rrggbb' or '#rrggbbaa' into [r, g, b, a] bytes
+function parseColor(color) {
+    let digits = color.slice(1);
+
+    if (digits.length === 3) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+    }
+
+    if (digits.length === 6) {
+        digits += 'ff';
     }
 
-    testRender() {
-        this.setPixel(0, 0);
-        this.setPixel(5, 2);
+    if (!/^[0-9a-f]{8}$/i.test(digits)) {
+        throw new Error('Invalid colour ' + color);
     }
-    
+
+    let rgba = [];
+
+    for (let i = 0; i < 8; i += 2) {
+        rgba.push(parseInt(digits.slice(i, i + 2), 16));
+    }
+
+    return rgba;
 }
 
 export default Renderer;
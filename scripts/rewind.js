@@ -0,0 +1,116 @@
+// Rewind gameplay
+// Machine is snapshotted every frame into a ring buffer
+// Holding the rewind key restores them newest first, one per frame, so play runs backwards in real time
+
+import isEditable from "./editable.js";
+
+class Rewind {
+    // depth: most frames kept (600 = 10 seconds at 60 frames per second)
+    // memoryBudget: most bytes of snapshots kept, limits depth for XO-CHIP's 64KB memory
+    // key: KeyboardEvent.code held to rewind
+    constructor(cpu, depth = 600, memoryBudget = 16 * 1024 * 1024, key = 'Backspace') {
+        this.cpu = cpu;
+        this.depth = depth;
+        this.memoryBudget = memoryBudget;
+        this.key = key;
+
+        // Ring buffer of snapshots
+        // start is the oldest, count how many are stored
+        this.frames = new Array(depth);
+        this.start = 0;
+        this.count = 0;
+
+        // Frames that fit in budget, worked out from first snapshot's size
+        this.capacity = depth;
+        this.snapshotBytes = 0;
+
+        // True while rewind key is held
+        this.rewinding = false;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('keydown', this.onKeyDown.bind(this), false);
+            window.addEventListener('keyup', this.onKeyUp.bind(this), false);
+        }
+    }
+
+    // Store snapshot of current frame, dropping oldest when full
+    // Called in chip8.js after every frame the CPU runs
+    record() {
+        let snapshot = this.cpu.snapshot();
+
+        // Memory size differs between platforms, so capacity is worked out again when it changes
+        let bytes = estimateBytes(snapshot);
+        if (bytes !== this.snapshotBytes) {
+            this.snapshotBytes = bytes;
+            this.capacity = Math.max(1, Math.min(this.depth, Math.floor(this.memoryBudget / bytes)));
+            this.clear();
+        }
+
+        let end = (this.start + this.count) % this.capacity;
+        this.frames[end] = snapshot;
+
+        if (this.count < this.capacity) {
+            this.count++;
+        } else {
+            // Overwrote oldest frame
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Restore newest stored frame and remove it from buffer
+    // Returns false once there is nothing left to rewind to
+    stepBack() {
+        if (this.count === 0) {
+            return false;
+        }
+
+        this.count--;
+
+        let index = (this.start + this.count) % this.capacity;
+        let snapshot = this.frames[index];
+        this.frames[index] = undefined;
+
+        this.cpu.restore(snapshot);
+
+        // Sound would otherwise keep playing from the frame rewinding started on
+        this.cpu.speaker.stop();
+        this.cpu.renderer.render();
+
+        return true;
+    }
+
+    // Forget all stored frames
+    clear() {
+        this.frames = new Array(this.capacity);
+        this.start = 0;
+        this.count = 0;
+    }
+
+    onKeyDown(event) {
+        // Backspace in a text field deletes rather than rewinds
+        if (event.code === this.key && !isEditable(event.target)) {
+            // Backspace would otherwise navigate back in some browsers
+            event.preventDefault();
+            this.rewinding = true;
+        }
+    }
+
+    onKeyUp(event) {
+        if (event.code === this.key) {
+            this.rewinding = false;
+        }
+    }
+}
+
+// Rough size of a snapshot in bytes
+// Typed arrays take a byte per entry
+// Display is always counted at 128x64, so switching resolution does not clear the buffer
+function estimateBytes(snapshot) {
+    return snapshot.memory.length +
+        snapshot.rpl.length +
+        snapshot.v.length +
+        (128 * 64) +
+        256;
+}
+
+export default Rewind;
@@ -0,0 +1,145 @@
+// Choose which ROM the CPU runs
+// ROMs can come from the roms folder, a file picked from disk, or a file dropped on the page
+
+class RomPicker {
+    // roms: names of files in roms folder to list
+    constructor(cpu, roms) {
+        this.cpu = cpu;
+
+        // Called with name of each ROM loaded, eg. to switch to its key bindings
+        this.onLoad = null;
+
+        // ROM last asked for, a slower earlier request arriving afterwards is ignored
+        this.pending = null;
+
+        this.select = document.querySelector('#rom-select');
+        this.fileInput = document.querySelector('#rom-file');
+        this.status = document.querySelector('#rom-status');
+
+        // List bundled ROMs
+        for (let rom of roms) {
+            let option = document.createElement('option');
+            option.value = rom;
+            option.textContent = rom;
+            this.select.appendChild(option);
+        }
+
+        this.select.addEventListener('change', this.onSelect.bind(this), false);
+        this.fileInput.addEventListener('change', this.onFileInput.bind(this), false);
+
+        // Drag and drop files anywhere on the page
+        document.addEventListener('dragover', this.onDragOver.bind(this), false);
+        document.addEventListener('drop', this.onDrop.bind(this), false);
+    }
+
+    // Reset machine and load ROM from roms folder
+    // Machine carries on with the current ROM until the new one has arrived
+    load(romName) {
+        let self = this;
+
+        this.select.value = romName;
+        this.pending = romName;
+        this.status.textContent = 'Loading ' + romName;
+
+        this.cpu.fetchRom(romName, function(error, program) {
+            if (self.pending !== romName) {
+                return;
+            }
+
+            if (error) {
+                self.failed(error);
+                return;
+            }
+
+            self.start(romName, program);
+        });
+    }
+
+    // Reset machine and load ROM from a local file
+    loadFile(file) {
+        let reader = new FileReader();
+        let self = this;
+
+        this.pending = file.name;
+
+        reader.onload = function() {
+            if (self.pending !== file.name) {
+                return;
+            }
+
+            // Local file is not one of the listed ROMs
+            self.select.value = '';
+
+            self.start(file.name, new Uint8Array(reader.result));
+        }
+
+        reader.onerror = function() {
+            if (self.pending !== file.name) {
+                return;
+            }
+
+            self.failed(new Error('Could not read ' + file.name));
+        }
+
+        reader.readAsArrayBuffer(file);
+    }
+
+    // Replace current ROM with program and start it
+    // A ROM too large for memory is not loaded, the current one keeps running
+    start(romName, program) {
+        try {
+            this.cpu.checkProgramSize(program);
+        } catch (error) {
+            this.failed(error);
+            return;
+        }
+
+        this.pending = null;
+        this.status.textContent = '';
+
+        // Previous ROM is not reloaded, new one replaces it
+        this.cpu.reset(false);
+        this.cpu.loadProgramIntoMemory(program);
+
+        if (this.onLoad !== null) {
+            this.onLoad(romName);
+        }
+    }
+
+    // Current ROM keeps running
+    failed(error) {
+        this.pending = null;
+        this.status.textContent = error.message;
+    }
+
+    onSelect() {
+        if (this.select.value) {
+            this.load(this.select.value);
+        }
+    }
+
+    onFileInput() {
+        if (this.fileInput.files.length > 0) {
+            this.loadFile(this.fileInput.files[0]);
+        }
+
+        // Allow picking the same file again
+        this.fileInput.value = '';
+    }
+
+    onDragOver(event) {
+        // Browser opens dropped file itself unless prevented
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    onDrop(event) {
+        event.preventDefault();
+
+        if (event.dataTransfer.files.length > 0) {
+            this.loadFile(event.dataTransfer.files[0]);
+        }
+    }
+}
+
+export default RomPicker;
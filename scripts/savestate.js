@@ -0,0 +1,221 @@
+// Save states
+// Serialize complete machine state taken by CPU.snapshot() to JSON and back
+// States are kept in numbered slots in localStorage, or downloaded/uploaded as files
+
+import download from "./download.js";
+
+// Bump when the format changes, older states are rejected rather than loaded wrongly
+const SAVE_STATE_VERSION = 2;
+
+// Number of localStorage slots offered
+const SLOT_COUNT = 4;
+
+class SaveStates {
+    constructor(cpu) {
+        this.cpu = cpu;
+
+        // Without a page (eg. running under Node) only serialize() and deserialize() are used
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.slotSelect = document.querySelector('#state-slot');
+        this.fileInput = document.querySelector('#state-file');
+        this.status = document.querySelector('#state-status');
+
+        for (let slot = 1; slot <= SLOT_COUNT; slot++) {
+            let option = document.createElement('option');
+            option.value = slot;
+            option.textContent = 'Slot ' + slot;
+            this.slotSelect.appendChild(option);
+        }
+
+        document.querySelector('#state-save').addEventListener('click', this.onSave.bind(this), false);
+        document.querySelector('#state-load').addEventListener('click', this.onLoad.bind(this), false);
+        document.querySelector('#state-download').addEventListener('click', this.onDownload.bind(this), false);
+        this.fileInput.addEventListener('change', this.onFileInput.bind(this), false);
+    }
+
+    // Current machine state as a JSON string
+    serialize() {
+        let snapshot = this.cpu.snapshot();
+
+        return JSON.stringify({
+            version: SAVE_STATE_VERSION,
+            quirks: this.cpu.quirks.name,
+            rom: romOf(this.cpu),
+            memory: encodeBytes(snapshot.memory),
+            v: Array.from(snapshot.v),
+            i: snapshot.i,
+            pc: snapshot.pc,
+            stack: snapshot.stack,
+            delayTimer: snapshot.delayTimer,
+            soundTimer: snapshot.soundTimer,
+            paused: snapshot.paused,
+            exited: snapshot.exited,
+            keyWaitRegister: snapshot.keyWaitRegister,
+            audioPattern: snapshot.audioPattern ? Array.from(snapshot.audioPattern) : null,
+            pitch: snapshot.pitch,
+            rpl: Array.from(snapshot.rpl),
+            random: snapshot.random,
+            display: {
+                hires: snapshot.display.hires,
+                planes: snapshot.display.planes,
+                pixels: encodeBytes(snapshot.display.display)
+            }
+        });
+    }
+
+    // Restore machine state from a JSON string made by serialize()
+    deserialize(json) {
+        let state = JSON.parse(json);
+
+        if (state.version !== SAVE_STATE_VERSION) {
+            throw new Error('Unsupported save state version ' + state.version);
+        }
+
+        // Quirks and memory size would no longer match, pick the state's platform first
+        if (state.quirks !== this.cpu.quirks.name) {
+            throw new Error('Save state is for ' + state.quirks + ', switch platform to load it');
+        }
+
+        // Reset would bring back the current ROM under the state's program
+        if (state.rom !== romOf(this.cpu)) {
+            throw new Error('Save state is for a different ROM, load that ROM first');
+        }
+
+        let memory = decodeBytes(state.memory);
+
+        if (memory.length !== this.cpu.quirks.memorySize) {
+            throw new Error('Save state has ' + memory.length + ' bytes of memory, machine has ' + this.cpu.quirks.memorySize);
+        }
+
+        this.cpu.restore({
+            memory: memory,
+            v: Uint8Array.from(state.v),
+            i: state.i,
+            pc: state.pc,
+            stack: state.stack,
+            delayTimer: state.delayTimer,
+            soundTimer: state.soundTimer,
+            paused: state.paused,
+            exited: state.exited,
+            keyWaitRegister: state.keyWaitRegister,
+            audioPattern: state.audioPattern ? Uint8Array.from(state.audioPattern) : null,
+            pitch: state.pitch,
+            rpl: Uint8Array.from(state.rpl),
+            random: state.random,
+            display: {
+                hires: state.display.hires,
+                planes: state.display.planes,
+                display: decodeBytes(state.display.pixels)
+            }
+        });
+    }
+
+    // Store current state in localStorage slot
+    save(slot) {
+        localStorage.setItem('chip8-state-' + slot, this.serialize());
+    }
+
+    // Restore state from localStorage slot
+    // Returns false if slot is empty
+    load(slot) {
+        let json = localStorage.getItem('chip8-state-' + slot);
+
+        if (json === null) {
+            return false;
+        }
+
+        this.deserialize(json);
+        return true;
+    }
+
+    // Save current state as a file
+    download() {
+        download(new Blob([this.serialize()], { type: 'application/json' }), 'chip8-state.json');
+    }
+
+    // Restore state from a file made by download()
+    upload(file) {
+        let reader = new FileReader();
+        let self = this;
+
+        reader.onload = function() {
+            try {
+                self.deserialize(reader.result);
+                self.status.textContent = 'Loaded ' + file.name;
+            } catch (error) {
+                self.status.textContent = error.message;
+            }
+        }
+
+        reader.readAsText(file);
+    }
+
+    onSave() {
+        let slot = this.slotSelect.value;
+
+        // localStorage can be full or turned off
+        try {
+            this.save(slot);
+            this.status.textContent = 'Saved to slot ' + slot;
+        } catch (error) {
+            this.status.textContent = error.message;
+        }
+    }
+
+    onLoad() {
+        let slot = this.slotSelect.value;
+
+        try {
+            this.status.textContent = this.load(slot) ? 'Loaded slot ' + slot : 'Slot ' + slot + ' is empty';
+        } catch (error) {
+            this.status.textContent = error.message;
+        }
+    }
+
+    onDownload() {
+        this.download();
+    }
+
+    onFileInput() {
+        if (this.fileInput.files.length > 0) {
+            this.upload(this.fileInput.files[0]);
+        }
+
+        // Allow picking the same file again
+        this.fileInput.value = '';
+    }
+}
+
+// ROM loaded into cpu as base64, null if there is none
+function romOf(cpu) {
+    return cpu.rom ? encodeBytes(cpu.rom) : null;
+}
+
+// Bytes to base64 string, keeps 64KB of XO-CHIP memory compact in JSON
+function encodeBytes(bytes) {
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+
+    return btoa(binary);
+}
+
+// Base64 string back to bytes
+function decodeBytes(base64) {
+    let binary = atob(base64);
+    let bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+export { encodeBytes, decodeBytes };
+export default SaveStates;
@@ -0,0 +1,127 @@
+// Scheduler
+// Runs the CPU in 60Hz frames from real elapsed time, independent of how often the browser fires requestAnimationFrame
+// Delay and sound timers tick once per frame, so they run at exactly 60Hz on any display
+// Instructions per frame come from CPU.instructionsPerSecond, fractions carry over to the next frame
+// With VIP timing the CPU works out how many instructions fit in a frame itself
+
+// Length of a frame in milliseconds
+const FRAME_TIME = 1000 / 60;
+
+// Most real time caught up at once, eg. after a background tab was throttled
+// Anything longer is dropped rather than running minutes of frames in one go
+const MAX_CATCH_UP = 1000;
+
+// Speeds offered in speed control, multiplier of real time
+const SPEEDS = {
+    pause: 0,
+    half: 0.5,
+    normal: 1,
+    double: 2,
+    turbo: 8
+};
+
+class Scheduler {
+    constructor(cpu) {
+        this.cpu = cpu;
+
+        // Multiplier of real time, 0 pauses
+        this.speed = SPEEDS.normal;
+
+        // Called for each frame with the number of instructions to run
+        // Defaults to running them on the CPU, chip8.js replaces it to add rewind
+        this.onFrame = this.cpu.frame.bind(this.cpu);
+
+        // Timestamp of last update
+        this.lastTime = null;
+
+        // Emulated time not yet run as a frame
+        this.pendingTime = 0;
+
+        // Fraction of an instruction carried to next frame
+        this.pendingInstructions = 0;
+
+        // Without a page (eg. running under Node) speed is set directly
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.speedSelect = document.querySelector('#speed');
+        this.ipsInput = document.querySelector('#ips');
+        this.vipTimingInput = document.querySelector('#vip-timing');
+
+        this.ipsInput.value = this.cpu.instructionsPerSecond;
+
+        this.speedSelect.addEventListener('change', this.onSpeedChange.bind(this), false);
+        this.ipsInput.addEventListener('change', this.onIpsChange.bind(this), false);
+        this.vipTimingInput.addEventListener('change', this.onVipTimingChange.bind(this), false);
+    }
+
+    // Run as many frames as real time since last update calls for
+    // now: timestamp in milliseconds, as passed to requestAnimationFrame callbacks
+    // Returns number of frames run
+    update(now) {
+        if (this.lastTime === null) {
+            this.lastTime = now;
+        }
+
+        let elapsed = Math.min(now - this.lastTime, MAX_CATCH_UP);
+        this.lastTime = now;
+
+        this.pendingTime += elapsed * this.speed;
+
+        let frames = 0;
+
+        while (this.pendingTime >= FRAME_TIME) {
+            this.pendingTime -= FRAME_TIME;
+            this.runFrame();
+            frames++;
+        }
+
+        return frames;
+    }
+
+    // Run a single frame
+    runFrame() {
+        this.pendingInstructions += this.cpu.instructionsPerSecond / 60;
+
+        let instructions = Math.floor(this.pendingInstructions);
+        this.pendingInstructions -= instructions;
+
+        this.onFrame(instructions);
+    }
+
+    // speed: one of the keys of SPEEDS
+    setSpeed(speed) {
+        if (!(speed in SPEEDS)) {
+            throw new Error('Unknown speed ' + speed);
+        }
+
+        this.speed = SPEEDS[speed];
+
+        // Paused time should not be caught up on afterwards
+        this.pendingTime = 0;
+    }
+
+    onSpeedChange() {
+        this.setSpeed(this.speedSelect.value);
+    }
+
+    onVipTimingChange() {
+        this.cpu.vipTiming = this.vipTimingInput.checked;
+
+        // Instruction rate comes from VIP cycle counts instead
+        this.ipsInput.disabled = this.vipTimingInput.checked;
+    }
+
+    onIpsChange() {
+        let ips = parseInt(this.ipsInput.value, 10);
+
+        if (ips > 0) {
+            this.cpu.instructionsPerSecond = ips;
+        } else {
+            this.ipsInput.value = this.cpu.instructionsPerSecond;
+        }
+    }
+}
+
+export default Scheduler;
@@ -0,0 +1,67 @@
+// Speaker that plays nothing and keeps a list of the sounds it was asked for
+// Same methods as Speaker, for running the CPU headless (eg. tests under Node) and checking its sound
+//
+// Each entry in sounds is a change in what is playing:
+// { call, sound: 'tone', frequency, waveform }, { call, sound: 'pattern', pattern, pitch }, { call, sound: 'stop' }
+// call counts calls to play(), playPattern() and stop(), CPU.cycle() makes one every frame
+
+class SilentSpeaker {
+    constructor() {
+        this.volume = 0.5;
+        this.muted = false;
+        this.frequency = 440;
+        this.waveform = 'square';
+
+        // Nothing to record from
+        this.audioCtx = null;
+
+        this.sounds = [];
+        this.calls = 0;
+
+        // What is playing now, as in sounds without call, or null when silent
+        this.playing = null;
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+    }
+
+    setFrequency(frequency) {
+        this.frequency = frequency;
+    }
+
+    setWaveform(waveform) {
+        this.waveform = waveform;
+    }
+
+    play(frequency = this.frequency) {
+        this.record({ sound: 'tone', frequency, waveform: this.waveform });
+    }
+
+    playPattern(pattern, pitch) {
+        this.record({ sound: 'pattern', pattern: Array.from(pattern), pitch });
+    }
+
+    stop() {
+        this.record(null);
+    }
+
+    // Add sound to list if it differs from what is playing
+    // sound: null for silence
+    record(sound) {
+        let call = this.calls++;
+
+        if (JSON.stringify(sound) === JSON.stringify(this.playing)) {
+            return;
+        }
+
+        this.playing = sound;
+        this.sounds.push(Object.assign({ call }, sound || { sound: 'stop' }));
+    }
+}
+
+export default SilentSpeaker;
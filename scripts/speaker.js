@@ -1,50 +1,210 @@
+// Plays the Chip-8 buzzer and XO-CHIP audio patterns through Web Audio
+// Browsers keep an AudioContext suspended until the page is interacted with,
+// so it is resumed on the first click, touch or key press
+// Sounds fade in and out over a few milliseconds, starting or stopping a wave mid-cycle pops otherwise
+
+// Seconds taken to fade sound in and out
+const ATTACK = 0.005;
+const RELEASE = 0.01;
+
+// Waveforms the buzzer can play, OscillatorNode types
+const WAVEFORMS = ['square', 'triangle', 'sawtooth', 'sine'];
+
 class Speaker {
     constructor() {
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        // Settings, changed from the audio panel
+        this.volume = 0.5;
+        this.muted = false;
+
+        // Buzzer tone, used when the CPU does not ask for a frequency
+        this.frequency = 440;
+        this.waveform = 'square';
+
+        // Sound playing now, with the gain node fading it in and out
+        this.oscillator = null;
+        this.source = null;
+        this.envelope = null;
+        this.patternKey = null;
+
+        const AudioContext = (typeof window !== 'undefined') && (window.AudioContext || window.webkitAudioContext);
+
+        // No Web Audio (eg. running under Node), speaker stays silent
+        if (!AudioContext) {
+            this.audioCtx = null;
+            return;
+        }
 
         this.audioCtx = new AudioContext();
 
         // Create a gain, allow volume control
+        // Everything played goes through it, recorders can take sound from here too
         this.gain = this.audioCtx.createGain();
-        this.finish = this.audioCtx.destination;
+        this.gain.gain.setValueAtTime(this.volume, this.audioCtx.currentTime);
 
         // Connect gain to audio context
-        this.gain.connect(this.finish);
+        this.gain.connect(this.audioCtx.destination);
+
+        // Blocked by autoplay policy, wait for a user gesture
+        if (this.audioCtx.state === 'suspended' && typeof document !== 'undefined') {
+            let self = this;
+            let events = ['pointerdown', 'keydown'];
 
-        // Mute audio
-        this.gain.setValueAtTime(0, this.audioCtx.currentTime);
+            let resume = function() {
+                for (let type of events) {
+                    document.removeEventListener(type, resume, false);
+                }
 
-        // Unmute audio
-        this.gain.setValueAtTime(1, this.audioCtx.currentTime);
+                self.audioCtx.resume();
+            };
+
+            for (let type of events) {
+                document.addEventListener(type, resume, false);
+            }
+        }
     }
 
-    // Plays sound at desired frequency
-    play(frequency) {
-        if (this.audioCtx && !this.oscillator) {
-            // Oscillator plays sound
-            this.oscillator = this.audioCtx.createOscillator();
+    // volume: 0 to 1
+    setVolume(volume) {
+        this.volume = volume;
+        this.updateGain();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.updateGain();
+    }
 
-            // Set frequency
-            this.oscillator.frequency.setValueAtTime(frequency || 440, this.audioCtx.currentTime);
+    // Glide to new volume rather than jumping, which would pop
+    updateGain() {
+        if (this.audioCtx) {
+            this.gain.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.audioCtx.currentTime, RELEASE);
+        }
+    }
 
-            // Square wave
-            this.oscillator.type = 'square';
+    // Buzzer tone in Hz, changes a tone already playing too
+    setFrequency(frequency) {
+        this.frequency = frequency;
 
-            // Connect gain
-            this.oscillator.connect(this.gain);
-            // Play sound
-            this.oscillator.start();
+        if (this.oscillator) {
+            this.oscillator.frequency.setValueAtTime(frequency, this.audioCtx.currentTime);
         }
     }
 
-    // Stop sound
-    stop() {
+    // waveform: one of WAVEFORMS
+    setWaveform(waveform) {
+        if (!WAVEFORMS.includes(waveform)) {
+            throw new Error('Unknown waveform ' + waveform);
+        }
+
+        this.waveform = waveform;
+
         if (this.oscillator) {
-            this.oscillator.stop();
-            this.oscillator.disconnect();
-            this.oscillator = null;
+            this.oscillator.type = waveform;
         }
     }
+
+    // Plays sound at desired frequency, buzzer frequency setting if none is given
+    play(frequency = this.frequency) {
+        if (!this.audioCtx || this.oscillator) {
+            return;
+        }
+
+        // Audio pattern still playing
+        this.stop();
+
+        // Oscillator plays sound
+        this.oscillator = this.audioCtx.createOscillator();
+
+        // Set frequency
+        this.oscillator.frequency.setValueAtTime(frequency, this.audioCtx.currentTime);
+        this.oscillator.type = this.waveform;
+
+        this.start(this.oscillator);
+    }
+
+    // Plays XO-CHIP audio pattern on a loop
+    // pattern: 16 bytes, each bit is one sample (1 = high, 0 = low)
+    // pitch: Fx3A pitch, 64 plays 4000 samples per second
+    playPattern(pattern, pitch) {
+        if (!this.audioCtx) {
+            return;
+        }
+
+        // Already playing this pattern at this pitch
+        let patternKey = pattern.join(',') + ':' + pitch;
+        if (this.source && this.patternKey === patternKey) {
+            return;
+        }
+
+        this.stop();
+
+        // Each step of 48 in pitch doubles playback rate
+        let rate = 4000 * Math.pow(2, (pitch - 64) / 48);
+
+        // Resample 128 bits of pattern to audio context's sample rate
+        let sampleRate = this.audioCtx.sampleRate;
+        let length = Math.max(1, Math.round(128 * sampleRate / rate));
+        let buffer = this.audioCtx.createBuffer(1, length, sampleRate);
+        let samples = buffer.getChannelData(0);
+
+        for (let i = 0; i < length; i++) {
+            let bit = Math.floor(i * rate / sampleRate) % 128;
+
+            // Grab bit from its byte, leftmost bit first
+            samples[i] = ((pattern[bit >> 3] >> (7 - (bit & 0x7))) & 0x1) ? 0.5 : -0.5;
+        }
+
+        // Buffer source plays pattern, looping until stopped
+        this.source = this.audioCtx.createBufferSource();
+        this.source.buffer = buffer;
+        this.source.loop = true;
+
+        this.start(this.source);
+
+        this.patternKey = patternKey;
+    }
+
+    // Start node playing, fading in through its own gain
+    start(node) {
+        let now = this.audioCtx.currentTime;
+
+        this.envelope = this.audioCtx.createGain();
+        this.envelope.gain.setValueAtTime(0, now);
+        this.envelope.gain.linearRampToValueAtTime(1, now + ATTACK);
+        this.envelope.connect(this.gain);
+
+        node.connect(this.envelope);
+        node.start(now);
+    }
+
+    // Stop sound, fading out first
+    stop() {
+        let node = this.oscillator || this.source;
+
+        if (!node) {
+            return;
+        }
+
+        let now = this.audioCtx.currentTime;
+        let envelope = this.envelope;
+
+        // Fade from wherever the fade in got to
+        envelope.gain.cancelScheduledValues(now);
+        envelope.gain.setValueAtTime(envelope.gain.value, now);
+        envelope.gain.linearRampToValueAtTime(0, now + RELEASE);
+
+        node.stop(now + RELEASE);
+        node.onended = function() {
+            node.disconnect();
+            envelope.disconnect();
+        };
+
+        this.oscillator = null;
+        this.source = null;
+        this.envelope = null;
+        this.patternKey = null;
+    }
 }
 
-export default Speaker;
\ No newline at end of file
+export { WAVEFORMS };
+export default Speaker;
@@ -0,0 +1,33 @@
+// Settings kept in localStorage as JSON
+// Without localStorage (eg. running under Node) nothing is kept and nothing is found
+
+// Read JSON value from localStorage, null if missing
+// A value that is not JSON (eg. edited by hand) counts as missing, so the default is used
+function load(name) {
+    if (typeof localStorage === 'undefined') {
+        return null;
+    }
+
+    let json = localStorage.getItem(name);
+
+    try {
+        return json === null ? null : JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Write JSON value to localStorage, null removes it
+function save(name, value) {
+    if (typeof localStorage === 'undefined') {
+        return;
+    }
+
+    if (value === null) {
+        localStorage.removeItem(name);
+    } else {
+        localStorage.setItem(name, JSON.stringify(value));
+    }
+}
+
+export { load, save };
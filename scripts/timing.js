@@ -0,0 +1,70 @@
+// COSMAC VIP timing
+// The VIP's 1802 runs at 1.76MHz, each machine cycle takes 8 clock cycles
+// Interpreter instructions take very different numbers of machine cycles, so ROMs tuned on a VIP
+// run at the wrong speed when every instruction costs the same
+//
+// Costs below are approximate machine cycles per instruction, including fetch and decode,
+// after timings measured from the original interpreter
+
+// Clock cycles per second
+const CLOCK = 1760000;
+const CLOCK_CYCLES_PER_MACHINE_CYCLE = 8;
+
+// Display DMA steals 8 machine cycles for each of the 128 scanlines drawn every frame
+const DMA_CYCLES_PER_FRAME = 128 * 8;
+
+// Machine cycles left for the interpreter each 60Hz frame
+const VIP_CYCLES_PER_FRAME = Math.floor(CLOCK / CLOCK_CYCLES_PER_MACHINE_CYCLE / 60) - DMA_CYCLES_PER_FRAME;
+
+// Extra cycles when a skip instruction skips
+const SKIP_CYCLES = 2;
+
+// Machine cycles taken by opcode
+// skipped: true if a skip instruction skipped the next instruction
+function instructionCycles(opcode, skipped) {
+    let x = (opcode & 0x0F00) >> 8;
+    let skip = skipped ? SKIP_CYCLES : 0;
+
+    switch (opcode & 0xF000) {
+        case 0x0000:
+            // 00E0 clears 256 bytes of display memory
+            if (opcode === 0x00E0) return 24;
+            // 00EE, 0nnn
+            return 23;
+        case 0x1000: return 23;
+        case 0x2000: return 23;
+        case 0x3000: return 12 + skip;
+        case 0x4000: return 12 + skip;
+        case 0x5000: return 16 + skip;
+        case 0x6000: return 6;
+        case 0x7000: return 10;
+        case 0x8000: return 44;
+        case 0x9000: return 16 + skip;
+        case 0xA000: return 12;
+        case 0xB000: return 23;
+        case 0xC000: return 36;
+        // Dxyn costs depend on sprite height and position, the CPU then waits for vertical blank anyway
+        case 0xD000: return 26 + (opcode & 0xF) * 20;
+        case 0xE000: return 16 + skip;
+        case 0xF000:
+            switch (opcode & 0xFF) {
+                case 0x07: return 10;
+                case 0x0A: return 19;
+                case 0x15: return 10;
+                case 0x18: return 10;
+                case 0x1E: return 19;
+                case 0x29: return 20;
+                // Fx33 divides by repeated subtraction
+                case 0x33: return 204;
+                // Fx55 and Fx65 copy a register at a time
+                case 0x55: return 12 + (x + 1) * 14;
+                case 0x65: return 12 + (x + 1) * 14;
+            }
+            return 10;
+    }
+
+    return 10;
+}
+
+export { VIP_CYCLES_PER_FRAME };
+export default instructionCycles;
@@ -0,0 +1,118 @@
+// On-screen keypad for touch screens
+// 4x4 hex keypad pressing Chip-8 keys through Keyboard, so Ex9E, ExA1 and Fx0A see it like keys
+// Each finger is tracked on its own, so several keys can be held at once
+// and sliding a finger from one key to another moves the press with it
+
+import { KEYPAD } from "./keymaps.js";
+
+class TouchKeypad {
+    constructor(keyboard) {
+        this.keyboard = keyboard;
+
+        // Chip-8 key under each pointer held down, pointerId -> key
+        this.pointers = new Map();
+
+        // Told when keyboard releases every key
+        keyboard.inputs.push(this);
+
+        this.element = document.querySelector('#keypad');
+
+        for (let key of KEYPAD) {
+            let button = document.createElement('button');
+
+            button.textContent = key.toString(16).toUpperCase();
+            button.dataset.key = key;
+
+            this.element.appendChild(button);
+        }
+
+        // Pointer events cover touch, pen and mouse alike
+        // Fingers can be lifted anywhere once they slide off the keypad, so moves and releases are watched on document
+        this.element.addEventListener('pointerdown', this.onPointerDown.bind(this), false);
+        document.addEventListener('pointermove', this.onPointerMove.bind(this), false);
+        document.addEventListener('pointerup', this.onPointerUp.bind(this), false);
+        document.addEventListener('pointercancel', this.onPointerUp.bind(this), false);
+
+        // Long presses would otherwise open a menu
+        this.element.addEventListener('contextmenu', function(event) {
+            event.preventDefault();
+        }, false);
+    }
+
+    // Chip-8 key of button at page position, undefined if not over a button
+    keyAt(x, y) {
+        let element = document.elementFromPoint(x, y);
+
+        if (!element || element.parentNode !== this.element) {
+            return undefined;
+        }
+
+        return parseInt(element.dataset.key, 10);
+    }
+
+    // Move pointer's press to key, releasing whatever it held before
+    // key: undefined releases without pressing anything
+    press(pointerId, key) {
+        let previous = this.pointers.get(pointerId);
+
+        if (previous === key) {
+            return;
+        }
+
+        if (previous !== undefined) {
+            this.keyboard.keyUp(previous, 'touch' + pointerId);
+            this.button(previous).classList.remove('pressed');
+        }
+
+        if (key === undefined) {
+            this.pointers.delete(pointerId);
+            return;
+        }
+
+        this.pointers.set(pointerId, key);
+        this.keyboard.keyDown(key, 'touch' + pointerId);
+        this.button(key).classList.add('pressed');
+    }
+
+    // Keyboard has released every key, see Keyboard.reset()
+    // Fingers still on the keypad press their keys again
+    reset() {
+        for (let [pointerId, key] of this.pointers) {
+            this.keyboard.keyDown(key, 'touch' + pointerId);
+        }
+    }
+
+    button(key) {
+        return this.element.children[KEYPAD.indexOf(key)];
+    }
+
+    onPointerDown(event) {
+        // Stops the page scrolling or zooming and the button taking focus
+        event.preventDefault();
+
+        // Touches keep sending events to the element they started on, release that so
+        // moves are still seen once the finger leaves the button
+        if (event.target.hasPointerCapture && event.target.hasPointerCapture(event.pointerId)) {
+            event.target.releasePointerCapture(event.pointerId);
+        }
+
+        this.press(event.pointerId, this.keyAt(event.clientX, event.clientY));
+    }
+
+    onPointerMove(event) {
+        // Only pointers held down press keys, a mouse just passing over does not
+        if (!this.pointers.has(event.pointerId)) {
+            return;
+        }
+
+        this.press(event.pointerId, this.keyAt(event.clientX, event.clientY));
+    }
+
+    onPointerUp(event) {
+        if (this.pointers.has(event.pointerId)) {
+            this.press(event.pointerId, undefined);
+        }
+    }
+}
+
+export default TouchKeypad;
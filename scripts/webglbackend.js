@@ -0,0 +1,150 @@
+// WebGL backend for Renderer
+// Uploads renderer.frame as a texture the size of the display and stretches it over the canvas
+// with a single quad, so drawing costs the same however many pixels are lit
+// The fragment shader also applies the CRT scanline filter
+
+// Full-screen quad, two triangles in clip space
+const QUAD = new Float32Array([
+    -1, -1,  1, -1,  -1, 1,
+    -1,  1,  1, -1,   1, 1
+]);
+
+const VERTEX_SHADER = `
+attribute vec2 corner;
+varying vec2 position;
+
+void main() {
+    // Texture row 0 is the top of the display, clip space y goes up
+    position = vec2((corner.x + 1.0) / 2.0, (1.0 - corner.y) / 2.0);
+    gl_Position = vec4(corner, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+uniform sampler2D frame;
+uniform float rows;
+uniform float scanlines;
+varying vec2 position;
+
+void main() {
+    vec4 color = texture2D(frame, position);
+
+    // Darken the bottom of every display row, like the gaps between CRT scanlines
+    float line = fract(position.y * rows);
+    float shade = 1.0 - (scanlines * 0.35 * smoothstep(0.5, 1.0, line));
+
+    // Darker corners, as on a curved tube
+    vec2 edge = position * (1.0 - position);
+    shade *= mix(1.0, clamp(pow(edge.x * edge.y * 16.0, 0.25), 0.0, 1.0), scanlines);
+
+    // Canvas expects premultiplied alpha
+    gl_FragColor = vec4(color.rgb * color.a, color.a) * shade;
+}
+`;
+
+class WebGLBackend {
+    // Returns null if canvas cannot give a WebGL context
+    // Canvas is left without a context then, so a 2D one can still be taken
+    static create(canvas) {
+        let gl = canvas.getContext('webgl');
+
+        if (!gl) {
+            return null;
+        }
+
+        return new WebGLBackend(canvas, gl);
+    }
+
+    constructor(canvas, gl) {
+        this.canvas = canvas;
+        this.gl = gl;
+
+        this.program = gl.createProgram();
+        gl.attachShader(this.program, this.compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+        gl.attachShader(this.program, this.compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+        gl.linkProgram(this.program);
+
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            throw new Error('Could not link shaders: ' + gl.getProgramInfoLog(this.program));
+        }
+
+        gl.useProgram(this.program);
+
+        this.rowsLocation = gl.getUniformLocation(this.program, 'rows');
+        this.scanlinesLocation = gl.getUniformLocation(this.program, 'scanlines');
+
+        // Quad covering the whole canvas
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, QUAD, gl.STATIC_DRAW);
+
+        let corner = gl.getAttribLocation(this.program, 'corner');
+        gl.enableVertexAttribArray(corner);
+        gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+
+        // Display texture, nearest filtering keeps pixels square
+        gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Size of texture, allocated on first draw
+        this.cols = 0;
+        this.rows = 0;
+    }
+
+    compile(type, source) {
+        let gl = this.gl;
+        let shader = gl.createShader(type);
+
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error('Could not compile shader: ' + gl.getShaderInfoLog(shader));
+        }
+
+        return shader;
+    }
+
+    // Draw renderer.frame, RGBA colour of every pixel, onto canvas
+    // region: { left, top, right, bottom }, only these pixels are uploaded to the texture
+    draw(renderer, region) {
+        let gl = this.gl;
+        let frame = renderer.frame;
+
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+        if (renderer.cols !== this.cols || renderer.rows !== this.rows) {
+            // Resolution changed, texture is reallocated with the whole frame
+            this.cols = renderer.cols;
+            this.rows = renderer.rows;
+
+            // WebGL 1 only takes a Uint8Array for byte textures
+            let pixels = new Uint8Array(frame.buffer, frame.byteOffset, frame.length);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.cols, this.rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        } else {
+            // WebGL 1 cannot upload part of a row from a larger array, so region is copied out first
+            let width = region.right - region.left;
+            let height = region.bottom - region.top;
+            let pixels = new Uint8Array(width * height * 4);
+
+            for (let y = 0; y < height; y++) {
+                let start = (region.left + ((region.top + y) * this.cols)) * 4;
+                pixels.set(frame.subarray(start, start + (width * 4)), y * width * 4);
+            }
+
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, region.left, region.top, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        }
+
+        gl.uniform1f(this.rowsLocation, renderer.rows);
+        gl.uniform1f(this.scanlinesLocation, renderer.scanlines ? 1 : 0);
+
+        // Quad is cheap, whole canvas is redrawn from the texture
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+}
+
+export default WebGLBackend;
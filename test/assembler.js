@@ -0,0 +1,168 @@
+// Assembler, see assembler.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import Assembler, { AssemblerError } from "../scripts/assembler.js";
+import Disassembler from "../scripts/disassembler.js";
+
+const ROMS = new URL('../roms/', import.meta.url);
+
+// Source lines to program bytes as a plain array
+function assemble(...lines) {
+    return Array.from(new Assembler().assemble(lines.join('\n')));
+}
+
+// Error thrown assembling source lines
+function error(...lines) {
+    try {
+        new Assembler().assemble(lines.join('\n'));
+    } catch (error) {
+        assert.ok(error instanceof AssemblerError);
+        return error;
+    }
+
+    assert.fail('Assembled without an error');
+}
+
+test('Instructions, with comments and any case', function() {
+    let bytes = assemble(
+        'CLS            ; clear',
+        'ld v1, 0x0A',
+        'LD I, 0x300',
+        'DRW V1, V2, 5',
+        'LD [I], V0 - V3',
+        'SHR V4'
+    );
+
+    assert.deepEqual(bytes, [0x00, 0xE0, 0x61, 0x0A, 0xA3, 0x00, 0xD1, 0x25, 0x50, 0x32, 0x84, 0x46]);
+});
+
+test('Numbers in decimal, hex and binary', function() {
+    assert.deepEqual(assemble('LD V0, 10', 'LD V0, 0x0A', 'LD V0, #0A', 'LD V0, 0b1010', 'ADD V0, -1'),
+        [0x60, 10, 0x60, 10, 0x60, 10, 0x60, 10, 0x70, 0xFF]);
+});
+
+test('Labels before and after they are used', function() {
+    let bytes = assemble(
+        'start:',
+        '    CALL sub',
+        '    JP start',
+        'sub: RET'
+    );
+
+    assert.deepEqual(bytes, [0x22, 0x04, 0x12, 0x00, 0x00, 0xEE]);
+});
+
+test('LD I, LONG takes 4 bytes and a 16-bit address', function() {
+    let bytes = assemble('LD I, LONG data', 'JP 0x200', 'data: :byte 1');
+
+    assert.deepEqual(bytes, [0xF0, 0x00, 0x02, 0x06, 0x12, 0x00, 0x01]);
+});
+
+test(':const names a value, other constants have to be defined above it', function() {
+    let bytes = assemble(
+        'LD V0, FAST',
+        ':const SPEED 4',
+        ':const FAST SPEED'
+    );
+
+    assert.deepEqual(bytes, [0x60, 0x04]);
+    assert.equal(error(':const EARLY LATER', ':const LATER 1').message, '1:14: Unknown symbol LATER');
+});
+
+test(':byte and DB store bytes, :sprite stores rows of pixels', function() {
+    let bytes = assemble(
+        ':byte 1, 0xFF, -1',
+        'DB 2',
+        ':sprite ..####..',
+        ':sprite #..............#'
+    );
+
+    assert.deepEqual(bytes, [1, 0xFF, 0xFF, 2, 0x3C, 0x80, 0x01]);
+});
+
+test('Data moves the labels after it', function() {
+    let bytes = assemble(':sprite ########', ':byte 1, 2', 'here: JP here');
+
+    assert.deepEqual(bytes, [0xFF, 1, 2, 0x12, 0x03]);
+});
+
+test('Macros expand with their arguments in place of parameters', function() {
+    let bytes = assemble(
+        ':macro move reg, value',
+        '    LD reg, value',
+        '    ADD reg, 1',
+        ':endmacro',
+        'move V3, 5',
+        'move VA, 0x10'
+    );
+
+    assert.deepEqual(bytes, [0x63, 0x05, 0x73, 0x01, 0x6A, 0x10, 0x7A, 0x01]);
+});
+
+test('Macros can use other macros and labels', function() {
+    let bytes = assemble(
+        ':macro clear',
+        '    CLS',
+        ':endmacro',
+        ':macro restart',
+        '    clear',
+        '    JP start',
+        ':endmacro',
+        'start: restart'
+    );
+
+    assert.deepEqual(bytes, [0x00, 0xE0, 0x12, 0x00]);
+});
+
+test('Errors give the line and column of the mistake', function() {
+    let cases = [
+        [['CLS', '  FOO V0'], 2, 3, 'Unknown instruction FOO'],
+        [['LD V0, 0x100'], 1, 8, '0x100 is out of range (-128 to 255)'],
+        [['JP nowhere'], 1, 4, 'Unknown symbol nowhere'],
+        [['LD V0, V1, V2'], 1, 1, 'Invalid operands for LD: V0, V1, V2'],
+        [['a: CLS', 'a: CLS'], 2, 1, 'a is already defined'],
+        [['DRW V0, V1, 16'], 1, 13, '16 is out of range (0 to 15)'],
+        [[':sprite ..##'], 1, 9, 'Sprite row must be 8 or 16 of # and .: ..##'],
+        [[':org 0x300'], 1, 1, 'Unknown directive :org'],
+        [[':macro m a', 'LD V0, a', ':endmacro', 'm 1, 2'], 4, 1, 'Macro m takes 1 arguments, got 2'],
+        [[':macro m', 'CLS'], 2, 1, 'Macro m is missing :endmacro']
+    ];
+
+    for (let [lines, line, column, message] of cases) {
+        let thrown = error(...lines);
+
+        assert.equal(thrown.line, line, message);
+        assert.equal(thrown.column, column, message);
+        assert.equal(thrown.message, line + ':' + column + ': ' + message);
+    }
+});
+
+test('Listings of the bundled ROMs assemble back to the same bytes', function() {
+    // ROMs have no extension, specs next to them are .json
+    let roms = fs.readdirSync(ROMS, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.includes('.'))
+        .map(entry => entry.name);
+
+    assert.ok(roms.length > 0);
+
+    for (let rom of roms) {
+        let bytes = fs.readFileSync(new URL(rom, ROMS));
+        let listing = new Disassembler(bytes).listing();
+
+        assert.deepEqual(new Assembler().assemble(listing), new Uint8Array(bytes), rom);
+    }
+});
+
+test('A macro using itself is reported where it is used', function() {
+    let source = [
+        ':macro forever x',
+        '    forever x',
+        ':endmacro',
+        'CLS',
+        '  forever 1'
+    ].join('\n');
+
+    assert.throws(() => new Assembler().assemble(source), { name: 'AssemblerError', line: 5, column: 3 });
+});
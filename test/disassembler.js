@@ -0,0 +1,103 @@
+// Disassembler, see disassembler.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Disassembler from "../scripts/disassembler.js";
+
+// Opcodes to bytes, high byte first
+function bytes(...opcodes) {
+    return opcodes.flatMap(opcode => [opcode >> 8, opcode & 0xFF]);
+}
+
+// Listing lines without the leading spaces
+function listing(rom) {
+    return new Disassembler(rom).listing().split('\n').map(line => line.trim());
+}
+
+test('Mnemonics for single instructions', function() {
+    assert.equal(Disassembler.instruction(0x6A0F), 'LD VA, 0x0F');
+    assert.equal(Disassembler.instruction(0xD125), 'DRW V1, V2, 5');
+    assert.equal(Disassembler.instruction(0x2300, 0, new Map([[0x300, 'draw']])), 'CALL draw');
+    assert.equal(Disassembler.instruction(0xF000, 0x1234), 'LD I, LONG 0x1234');
+
+    // Not instructions
+    assert.equal(Disassembler.instruction(0x5121), null);
+    assert.equal(Disassembler.instruction(0xE0FF), null);
+});
+
+test('Bytes no path reaches are data', function() {
+    // JP over 2 bytes of data, then a skip whose both paths are followed
+    let rom = bytes(0x1204, 0x1234, 0x3000, 0x6001, 0x00EE).concat([0xAB]);
+
+    assert.deepEqual(listing(rom), [
+        '200  1204      JP L204',
+        '202            DB 0x12, 0x34',
+        'L204:',
+        '204  3000      SE V0, 0x00',
+        '206  6001      LD V0, 0x01',
+        '208  00EE      RET',
+        '20A            DB 0xAB'
+    ]);
+});
+
+test('Code is told apart from data by where paths go, not by what the bytes look like', function() {
+    // 00E0 after 00FD could be an instruction, but nothing runs it
+    let rom = bytes(0x00FD, 0x00E0);
+
+    assert.deepEqual(listing(rom), [
+        '200  00FD      EXIT',
+        '202            DB 0x00, 0xE0'
+    ]);
+});
+
+test('Jump and call targets in the ROM are labelled, others are left as numbers', function() {
+    let rom = bytes(0x2206, 0x1300, 0xA202, 0x00EE);
+
+    assert.deepEqual(listing(rom), [
+        '200  2206      CALL L206',
+        '202  1300      JP 0x300',
+        '204            DB 0xA2, 0x02',
+        'L206:',
+        '206  00EE      RET'
+    ]);
+});
+
+test('Targets inside an instruction are not labelled', function() {
+    // Jump into the middle of F000 nnnn, the listing has no line there
+    let disassembler = new Disassembler(bytes(0xF000, 0x1203, 0x1200));
+
+    assert.equal(disassembler.labels.has(0x203), false);
+});
+
+test('F000 nnnn is 4 bytes and labels its address', function() {
+    let rom = bytes(0xF000, 0x0206, 0x00EE).concat([0x3C]);
+
+    assert.deepEqual(listing(rom), [
+        '200  F0000206  LD I, LONG L206',
+        '204  00EE      RET',
+        'L206:',
+        '206            DB 0x3C'
+    ]);
+});
+
+test('F000 without room for its address at the end of the ROM is data', function() {
+    for (let tail of [[0xF0, 0x00], [0xF0, 0x00, 0x12]]) {
+        let rom = bytes(0x00E0).concat(tail);
+
+        assert.deepEqual(listing(rom), [
+            '200  00E0      CLS',
+            '202            DB ' + tail.map(byte => '0x' + byte.toString(16).toUpperCase().padStart(2, '0')).join(', ')
+        ]);
+    }
+});
+
+test('Skips step over all 4 bytes of F000 nnnn', function() {
+    let rom = bytes(0x3000, 0xF000, 0x0200, 0x00EE);
+
+    assert.deepEqual(listing(rom), [
+        'L200:',
+        '200  3000      SE V0, 0x00',
+        '202  F0000200  LD I, LONG L200',
+        '206  00EE      RET'
+    ]);
+});
@@ -0,0 +1,176 @@
+// Machine faults, see fault.js
+// Strict mode stops on the instruction and keeps the fault, lenient mode carries on as best it can
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import QUIRKS from "../scripts/quirks.js";
+import MachineFault, { FAULTS, STACK_DEPTH } from "../scripts/fault.js";
+import hex from "../scripts/hex.js";
+import { machine, step } from "./machine.js";
+
+test('Unknown opcode', function() {
+    let cpu = machine([0x6001, 0x5121]);
+    step(cpu, 2);
+
+    assert.ok(cpu.fault instanceof MachineFault);
+    assert.equal(cpu.fault.type, FAULTS.UNKNOWN_OPCODE);
+    assert.equal(cpu.fault.pc, 0x202);
+    assert.equal(cpu.fault.opcode, 0x5121);
+    assert.equal(cpu.fault.message, 'Unknown opcode: 0x5121 at 0x0202');
+
+    // Lenient mode skips it
+    cpu = machine([0x5121, 0x6001]);
+    cpu.strict = false;
+    step(cpu, 2);
+
+    assert.equal(cpu.fault, null);
+    assert.equal(cpu.v[0], 1);
+});
+
+test('Instructions of later platforms are unknown opcodes', function() {
+    let cases = [
+        [0x00FF, 'SCHIP'],
+        [0x00C1, 'SCHIP'],
+        [0xF130, 'SCHIP'],
+        [0xF075, 'SCHIP'],
+        [0x00D1, 'XOCHIP'],
+        [0x5122, 'XOCHIP'],
+        [0xF101, 'XOCHIP'],
+        [0xF002, 'XOCHIP'],
+        [0xF03A, 'XOCHIP']
+    ];
+
+    // CHIP-48 runs CHIP-8's instructions, SUPER-CHIP adds to them and XO-CHIP adds to SUPER-CHIP's
+    let order = ['COSMAC_VIP', 'CHIP48', 'SCHIP', 'XOCHIP'];
+
+    for (let [opcode, first] of cases) {
+        for (let profile of order) {
+            let cpu = machine([opcode], QUIRKS[profile]);
+            step(cpu);
+
+            let known = order.indexOf(profile) >= order.indexOf(first);
+            assert.equal(cpu.fault === null, known, hex(opcode, 4) + ' under ' + profile);
+
+            if (!known) {
+                assert.equal(cpu.fault.type, FAULTS.UNKNOWN_OPCODE);
+            }
+        }
+    }
+
+    // F000 nnnn is 4 bytes on XO-CHIP only, it is not skipped whole elsewhere
+    let cpu = machine([0xF000, 0x1234], QUIRKS.SCHIP);
+    step(cpu);
+    assert.equal(cpu.fault.type, FAULTS.UNKNOWN_OPCODE);
+
+    cpu = machine([0x3000, 0xF000, 0x1234], QUIRKS.SCHIP);
+    step(cpu);
+    assert.equal(cpu.pc, 0x204);
+});
+
+test('Stack underflow', function() {
+    let cpu = machine([0x00EE]);
+    step(cpu);
+
+    assert.equal(cpu.fault.type, FAULTS.STACK_UNDERFLOW);
+
+    // Lenient mode ignores the return
+    cpu = machine([0x00EE, 0x6001]);
+    cpu.strict = false;
+    step(cpu, 2);
+
+    assert.equal(cpu.fault, null);
+    assert.equal(cpu.v[0], 1);
+});
+
+test('Stack overflow', function() {
+    // Calls itself
+    let cpu = machine([0x2200]);
+    step(cpu, STACK_DEPTH);
+    assert.equal(cpu.fault, null);
+
+    step(cpu);
+    assert.equal(cpu.fault.type, FAULTS.STACK_OVERFLOW);
+
+    // Lenient mode drops the oldest return address
+    cpu = machine([0x2200]);
+    cpu.strict = false;
+    step(cpu, STACK_DEPTH + 4);
+
+    assert.equal(cpu.fault, null);
+    assert.equal(cpu.stack.length, STACK_DEPTH);
+});
+
+test('PC out of bounds', function() {
+    // Last instruction in memory, PC moves past the end after it
+    let cpu = machine([0x1FFE]);
+    step(cpu, 3);
+
+    assert.equal(cpu.fault.type, FAULTS.PC_OUT_OF_BOUNDS);
+    assert.equal(cpu.fault.pc, 0x1000);
+
+    // Lenient mode wraps around to the start of memory
+    cpu = machine([0x1FFE]);
+    cpu.strict = false;
+    step(cpu, 3);
+
+    assert.equal(cpu.fault, null);
+    assert.ok(cpu.pc < 0x10);
+});
+
+test('I out of bounds', function() {
+    let cpu = machine([0xAFFF, 0x6002, 0xF01E]);
+    step(cpu, 3);
+
+    assert.equal(cpu.fault.type, FAULTS.I_OUT_OF_BOUNDS);
+    assert.equal(cpu.fault.message, 'I out of bounds: 0xF01E at 0x0204, I 0x1001');
+
+    // Lenient mode wraps I
+    cpu = machine([0xAFFF, 0x6002, 0xF01E]);
+    cpu.strict = false;
+    step(cpu, 3);
+
+    assert.equal(cpu.fault, null);
+    assert.equal(cpu.i, 0x001);
+
+    // Fine where memory is large enough
+    cpu = machine([0xAFFF, 0x6002, 0xF01E], QUIRKS.XOCHIP);
+    step(cpu, 3);
+
+    assert.equal(cpu.fault, null);
+    assert.equal(cpu.i, 0x1001);
+});
+
+test('Memory access out of bounds', function() {
+    // Fx55 storing V0 and V1 from the last byte of memory
+    let cpu = machine([0xAFFF, 0x6007, 0x6108, 0xF155]);
+    step(cpu, 4);
+
+    assert.equal(cpu.fault.type, FAULTS.MEMORY_OUT_OF_BOUNDS);
+    assert.equal(cpu.memory[0xFFF], 7);
+
+    // Lenient mode wraps the address
+    cpu = machine([0xAFFF, 0x6007, 0x6108, 0xF155]);
+    cpu.strict = false;
+    step(cpu, 4);
+
+    assert.equal(cpu.fault, null);
+    assert.equal(cpu.memory[0xFFF], 7);
+    assert.equal(cpu.memory[0x000], 8);
+});
+
+test('Strict mode stops the machine and calls onFault once', function() {
+    let faults = [];
+
+    let cpu = machine([0x00EE, 0x6001]);
+    cpu.onFault = fault => faults.push(fault);
+    cpu.frame(10, []);
+    cpu.frame(10, []);
+
+    assert.equal(faults.length, 1);
+    assert.equal(cpu.pc, 0x202);
+    assert.equal(cpu.v[0], 0);
+
+    // Reset clears the fault
+    cpu.reset();
+    assert.equal(cpu.fault, null);
+});
@@ -0,0 +1,176 @@
+// GIF encoder, see gif.js
+// Files are read back with a plain GIF decoder, which has to find the frames that went in
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import GifEncoder from "../scripts/gif.js";
+
+// Frames of a GIF file as { delay, pixels }, and its palette as [r, g, b] each
+function decode(bytes) {
+    let position = 0;
+    let read = () => bytes[position++];
+    let readWord = () => read() | (read() << 8);
+
+    // Sub-blocks up to a 0 length block, joined
+    function readBlocks() {
+        let data = [];
+
+        for (let length = read(); length > 0; length = read()) {
+            assert.ok(length <= 255);
+            data.push(...bytes.subarray(position, position + length));
+            position += length;
+        }
+
+        return data;
+    }
+
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+    position = 6;
+
+    let width = readWord();
+    let height = readWord();
+    let flags = read();
+    position += 2;
+
+    let palette = [];
+    for (let i = 0; i < (2 << (flags & 7)); i++) {
+        palette.push([read(), read(), read()]);
+    }
+
+    let frames = [];
+    let delay = null;
+
+    for (let block = read(); block !== 0x3B; block = read()) {
+        if (block === 0x21) {
+            let label = read();
+            let data = readBlocks();
+
+            if (label === 0xF9) {
+                delay = data[1] | (data[2] << 8);
+            }
+        } else {
+            assert.equal(block, 0x2C);
+            position += 9;
+
+            let minCodeSize = read();
+            frames.push({ delay: delay, pixels: decompress(readBlocks(), minCodeSize) });
+        }
+    }
+
+    assert.equal(position, bytes.length);
+    frames.forEach(frame => assert.equal(frame.pixels.length, width * height));
+
+    return { palette: palette, frames: frames };
+}
+
+// Variable-length LZW as GIF decoders read it, codes packed least significant bit first
+function decompress(data, minCodeSize) {
+    let clearCode = 1 << minCodeSize;
+    let endCode = clearCode + 1;
+
+    let bit = 0;
+    let readCode = function(size) {
+        let code = 0;
+
+        for (let i = 0; i < size; i++, bit++) {
+            code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        }
+
+        return code;
+    };
+
+    let pixels = [];
+    let table;
+    let codeSize;
+    let previous;
+
+    let clear = function() {
+        table = Array.from({ length: endCode + 1 }, (_, index) => [index]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+
+    clear();
+
+    for (;;) {
+        assert.ok(bit + codeSize <= data.length * 8, 'ran out of data before the end code');
+
+        let code = readCode(codeSize);
+
+        if (code === clearCode) {
+            clear();
+            continue;
+        }
+
+        if (code === endCode) {
+            break;
+        }
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else {
+            assert.ok(code === table.length && previous, 'code ' + code + ' not in table');
+            entry = previous.concat(previous[0]);
+        }
+
+        pixels.push(...entry);
+
+        if (previous && table.length < 4096) {
+            table.push(previous.concat(entry[0]));
+        }
+        previous = entry;
+
+        if (table.length === (1 << codeSize) && codeSize < 12) {
+            codeSize++;
+        }
+    }
+
+    return pixels;
+}
+
+// Same pseudo-random palette indexes every run
+function noise(count, colors) {
+    let seed = 1;
+
+    return Array.from({ length: count }, function() {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        return (seed >> 16) % colors;
+    });
+}
+
+test('Frames decode back to their pixels, delays and palette', function() {
+    let colors = [[0, 0, 0, 255], [255, 255, 255, 255], [255, 0, 0, 255]];
+    let gif = new GifEncoder(8, 4, colors);
+    let first = noise(32, 3);
+    let second = first.map(index => (index + 1) % 3);
+
+    gif.addFrame(first, 5);
+    gif.addFrame(second, 7);
+
+    let { palette, frames } = decode(gif.finish());
+
+    // Padded to 4 colours
+    assert.deepEqual(palette, [[0, 0, 0], [255, 255, 255], [255, 0, 0], [0, 0, 0]]);
+    assert.deepEqual(frames, [{ delay: 5, pixels: first }, { delay: 7, pixels: second }]);
+});
+
+test('Frames that fill the code table decode back after it starts over', function() {
+    let colors = Array.from({ length: 16 }, (_, index) => [index * 16, 0, 0]);
+    let gif = new GifEncoder(256, 128, colors);
+    let pixels = noise(256 * 128, 16);
+
+    gif.addFrame(pixels, 2);
+
+    assert.deepEqual(decode(gif.finish()).frames, [{ delay: 2, pixels: pixels }]);
+});
+
+test('Long runs of one colour decode back', function() {
+    let gif = new GifEncoder(128, 64, [[0, 0, 0], [255, 255, 255]]);
+    let pixels = new Array(128 * 64).fill(0);
+    pixels.fill(1, 1000, 5000);
+
+    gif.addFrame(pixels, 2);
+
+    assert.deepEqual(decode(gif.finish()).frames[0].pixels, pixels);
+});
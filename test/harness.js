@@ -0,0 +1,114 @@
+// Compatibility harness, see harness.js
+// Specs have to merge into runs per profile, and golden images have to catch any changed pixel
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import QUIRKS from "../scripts/quirks.js";
+import Harness from "../scripts/harness.js";
+
+// Draws digit 0 at the top left, then loops
+const ROM = [0x60, 0x00, 0xF0, 0x29, 0xD0, 0x05, 0x12, 0x06];
+
+// Folders made by harness(), removed once every test has run
+const directories = [];
+
+after(function() {
+    directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+// Harness on a fresh folder holding files, { name: contents }
+function harness(files) {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chip8-harness-'));
+    directories.push(directory);
+
+    for (let name in files) {
+        fs.writeFileSync(path.join(directory, name), files[name]);
+    }
+
+    return new Harness(directory);
+}
+
+// Golden image of DIGIT under COSMAC_VIP, as written by the harness
+function goldenFile(harness) {
+    return harness.goldenFile('DIGIT', 'COSMAC_VIP');
+}
+
+test('Without a spec every profile runs with the defaults', function() {
+    let runs = harness({ DIGIT: Buffer.from(ROM) }).spec('DIGIT');
+
+    assert.deepEqual(Object.keys(runs), Object.keys(QUIRKS));
+    assert.deepEqual(runs.SCHIP, { frames: 300, ips: null, vipTiming: false, seed: 0, memory: {}, input: [] });
+});
+
+test('Profiles in a spec override its other fields', function() {
+    let spec = { frames: 10, seed: 5, profiles: { COSMAC_VIP: { vipTiming: true }, XOCHIP: { frames: 20 } } };
+    let runs = harness({ DIGIT: Buffer.from(ROM), 'DIGIT.json': JSON.stringify(spec) }).spec('DIGIT');
+
+    assert.deepEqual(Object.keys(runs), ['COSMAC_VIP', 'XOCHIP']);
+    assert.equal(runs.COSMAC_VIP.frames, 10);
+    assert.equal(runs.COSMAC_VIP.vipTiming, true);
+    assert.equal(runs.XOCHIP.frames, 20);
+    assert.equal(runs.XOCHIP.seed, 5);
+    assert.equal('profiles' in runs.XOCHIP, false);
+});
+
+test('A spec naming an unknown profile is an error', function() {
+    let spec = { profiles: { SCHIP2: {} } };
+
+    assert.throws(() => harness({ 'DIGIT.json': JSON.stringify(spec) }).spec('DIGIT'), /DIGIT: unknown quirk profile SCHIP2/);
+});
+
+test('Runs without a golden image are new until saved, then pass', function() {
+    let spec = { frames: 5, profiles: { COSMAC_VIP: {} } };
+    let check = harness({ DIGIT: Buffer.from(ROM), 'DIGIT.json': JSON.stringify(spec), 'NOTES.txt': 'not a ROM' });
+
+    let [result] = check.check();
+    assert.equal(result.status, 'new');
+    assert.equal(fs.existsSync(goldenFile(check)), false);
+
+    [result] = check.check(true);
+    assert.deepEqual(result, { rom: 'DIGIT', profile: 'COSMAC_VIP', status: 'new', detail: 'no golden image, golden image saved', saved: true });
+
+    // One display row per line, digit 0's top row is 4 lit pixels
+    let lines = fs.readFileSync(goldenFile(check), 'ascii').split('\n');
+    assert.deepEqual(lines.slice(0, 3), ['P2', '64 32', '3']);
+    assert.equal(lines[3], '1 1 1 1' + ' 0'.repeat(60));
+
+    assert.deepEqual(check.check().map(result => result.status), ['pass']);
+});
+
+test('Golden images that differ report how many pixels or the sizes', function() {
+    let spec = { frames: 5, profiles: { COSMAC_VIP: {} } };
+    let check = harness({ DIGIT: Buffer.from(ROM), 'DIGIT.json': JSON.stringify(spec) });
+    check.check(true);
+
+    // Two pixels changed, comments are skipped
+    let golden = fs.readFileSync(goldenFile(check), 'ascii');
+    fs.writeFileSync(goldenFile(check), golden.replace('P2\n', 'P2\n# edited\n').replace('1 1 1 1 0', '0 1 1 1 2'));
+
+    let [result] = check.check();
+    assert.equal(result.status, 'fail');
+    assert.equal(result.detail, '2 pixels differ');
+
+    fs.writeFileSync(goldenFile(check), 'P2\n2 1\n3\n0 0\n');
+    [result] = check.check();
+    assert.equal(result.detail, 'display is 64x32, expected 2x1');
+
+    // Overwrite replaces it
+    [result] = check.check(true, true);
+    assert.equal(result.saved, true);
+    assert.equal(check.check()[0].status, 'pass');
+});
+
+test('Golden images that are not plain PGM are an error', function() {
+    let spec = { frames: 5, profiles: { COSMAC_VIP: {} } };
+    let check = harness({ DIGIT: Buffer.from(ROM), 'DIGIT.json': JSON.stringify(spec) });
+    check.check(true);
+
+    fs.writeFileSync(goldenFile(check), 'P5\n64 32\n3\n');
+
+    assert.throws(() => check.check(), /plain PGM/);
+});
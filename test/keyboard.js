@@ -0,0 +1,97 @@
+// Keyboard, see keyboard.js: bindings kept in localStorage, and other inputs pressing keys through it
+// Each test file runs in its own process, so the stand-ins for localStorage and gamepads go no further
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Keyboard from "../scripts/keyboard.js";
+import KEYMAPS from "../scripts/keymaps.js";
+import GamepadInput from "../scripts/gamepadinput.js";
+import { machine } from "./machine.js";
+
+// Just what storage.js uses
+globalThis.localStorage = {
+    items: new Map(),
+    getItem(name) {
+        return this.items.has(name) ? this.items.get(name) : null;
+    },
+    setItem(name, value) {
+        this.items.set(name, String(value));
+    },
+    removeItem(name) {
+        this.items.delete(name);
+    }
+};
+
+beforeEach(function() {
+    localStorage.items.clear();
+});
+
+test('Saved layout is used for ROMs without their own bindings', function() {
+    localStorage.setItem('chip8-keys-layout', JSON.stringify('azerty'));
+
+    let keyboard = new Keyboard(null);
+    keyboard.setProfile('BLINKY');
+
+    assert.equal(keyboard.layout, 'azerty');
+    assert.deepEqual(keyboard.bindings, KEYMAPS.azerty.bindings);
+});
+
+test('A saved layout that does not exist falls back to QWERTY', function() {
+    for (let saved of ['"colemak"', '42', 'null']) {
+        localStorage.setItem('chip8-keys-layout', saved);
+
+        let keyboard = new Keyboard(null);
+
+        assert.equal(keyboard.layout, 'qwerty');
+        assert.equal(keyboard.label('KeyQ'), KEYMAPS.qwerty.labels.KeyQ);
+    }
+});
+
+test('Settings that are not JSON count as missing', function() {
+    localStorage.setItem('chip8-keys-layout', 'azerty');
+    localStorage.setItem('chip8-keys-BLINKY', '{"KeyQ": 4');
+
+    let keyboard = new Keyboard(null);
+    keyboard.setProfile('BLINKY');
+
+    assert.equal(keyboard.layout, 'qwerty');
+    assert.deepEqual(keyboard.bindings, KEYMAPS.qwerty.bindings);
+});
+
+test('Bindings are saved for the ROM being played', function() {
+    let keyboard = new Keyboard(null);
+    keyboard.setProfile('BLITZ');
+    keyboard.bind('KeyP', 5);
+
+    keyboard = new Keyboard(null);
+    keyboard.setProfile('BLITZ');
+
+    assert.equal(keyboard.bindings.KeyP, 5);
+});
+
+test('Gamepad buttons held through a reset press their keys again', function() {
+    // One pad holding A, which presses 6
+    let buttons = Array.from({ length: 17 }, () => ({ pressed: false }));
+    buttons[0].pressed = true;
+
+    globalThis.navigator = {
+        getGamepads: () => [{ index: 0, connected: true, buttons, axes: [0, 0, 0, 0] }]
+    };
+
+    let cpu = machine();
+    let gamepad = new GamepadInput(cpu.keyboard);
+
+    gamepad.poll();
+    assert.equal(cpu.keyboard.isKeyPressed(6), true);
+
+    cpu.reset();
+    assert.ok(!cpu.keyboard.isKeyPressed(6));
+
+    gamepad.poll();
+    assert.equal(cpu.keyboard.isKeyPressed(6), true);
+
+    // Letting go releases it
+    buttons[0].pressed = false;
+    gamepad.poll();
+    assert.equal(cpu.keyboard.isKeyPressed(6), false);
+});
@@ -0,0 +1,75 @@
+// Fx0A - LD Vx, K with and without the keyRelease quirk
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { machine, withQuirks } from "./machine.js";
+
+// Wait for a key into V3, then set V1 to show the program carried on
+const PROGRAM = [0xF30A, 0x6101];
+
+function press(key, at = 0) {
+    return { key, pressed: true, at };
+}
+
+function release(key, at = 0) {
+    return { key, pressed: false, at };
+}
+
+test('Fx0A - finishes on press without keyRelease', function() {
+    let cpu = machine(PROGRAM, withQuirks('SCHIP', { keyRelease: false }));
+
+    cpu.frame(10, []);
+    assert.equal(cpu.paused, true);
+    assert.equal(cpu.keyWaitRegister, 3);
+
+    // Finishes part way through the frame, the rest of the frame runs
+    cpu.frame(10, [press(7, 0.5)]);
+    assert.equal(cpu.paused, false);
+    assert.equal(cpu.v[3], 7);
+    assert.equal(cpu.v[1], 1);
+});
+
+test('Fx0A - waits for release with keyRelease', function() {
+    let cpu = machine(PROGRAM, withQuirks('SCHIP', { keyRelease: true }));
+
+    cpu.frame(10, [press(7, 0.5)]);
+    assert.equal(cpu.paused, true);
+    assert.equal(cpu.v[1], 0);
+
+    // Releasing some other key does not count
+    cpu.frame(10, [press(2), release(2)]);
+    assert.equal(cpu.paused, true);
+
+    cpu.frame(10, [release(7)]);
+    assert.equal(cpu.paused, false);
+    assert.equal(cpu.v[3], 7);
+    assert.equal(cpu.v[1], 1);
+});
+
+test('Fx0A - a key held down before waiting has to be pressed again', function() {
+    for (let keyRelease of [false, true]) {
+        let cpu = machine(PROGRAM, withQuirks('SCHIP', { keyRelease }));
+
+        cpu.deliverKeyEvent(press(4));
+        cpu.frame(10, []);
+        assert.equal(cpu.paused, true);
+
+        // Releasing it does not finish the wait either
+        cpu.frame(10, [release(4)]);
+        assert.equal(cpu.paused, true);
+
+        cpu.frame(10, [press(4), release(4)]);
+        assert.equal(cpu.paused, false);
+        assert.equal(cpu.v[3], 4);
+    }
+});
+
+test('Fx0A - timers carry on while waiting', function() {
+    let cpu = machine([0x6005, 0xF015, 0xF30A]);
+
+    cpu.frame(10, []);
+    cpu.frame(10, []);
+
+    assert.equal(cpu.paused, true);
+    assert.equal(cpu.delayTimer, 3);
+});
@@ -0,0 +1,45 @@
+// Headless machine for tests
+// Display, keys and sound stay in memory, nothing touches a page
+
+import CPU from "../scripts/cpu.js";
+import Renderer from "../scripts/renderer.js";
+import Keyboard from "../scripts/keyboard.js";
+import SilentSpeaker from "../scripts/silentspeaker.js";
+import QUIRKS from "../scripts/quirks.js";
+
+// CPU running program, a list of 16-bit opcodes loaded at 0x200
+// quirks: profile from quirks.js, or one with some flags changed, see withQuirks()
+function machine(program = [], quirks = QUIRKS.COSMAC_VIP) {
+    let cpu = new CPU(new Renderer(10, null), new Keyboard(null), new SilentSpeaker(), quirks);
+
+    cpu.loadSpritesIntoMemory();
+    cpu.loadProgramIntoMemory(bytes(program));
+
+    return cpu;
+}
+
+// Copy of profile with some quirks changed, eg. withQuirks('SCHIP', { shifting: false })
+function withQuirks(profile, quirks) {
+    return Object.assign({}, QUIRKS[profile], quirks);
+}
+
+// Run count instructions, one at a time as the debugger steps
+function step(cpu, count = 1) {
+    for (let i = 0; i < count; i++) {
+        cpu.stepInstruction();
+    }
+}
+
+// Row of display pixels from x, y as 0 (off) or 1 (on)
+function pixels(renderer, x, y, count) {
+    let start = (y * renderer.cols) + x;
+
+    return Array.from(renderer.display.slice(start, start + count), pixel => pixel ? 1 : 0);
+}
+
+// Opcodes to bytes, high byte first
+function bytes(program) {
+    return program.flatMap(opcode => [opcode >> 8, opcode & 0xFF]);
+}
+
+export { machine, withQuirks, step, pixels };
@@ -0,0 +1,76 @@
+// Input movies, see movie.js
+// A replay has to end with the machine exactly as the recording left it
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import QUIRKS from "../scripts/quirks.js";
+import Movie from "../scripts/movie.js";
+import { machine } from "./machine.js";
+
+const BLITZ = fs.readFileSync(new URL('../roms/BLITZ', import.meta.url));
+
+// Everything a run can differ in
+function state(cpu) {
+    return {
+        v: Array.from(cpu.v),
+        i: cpu.i,
+        pc: cpu.pc,
+        stack: cpu.stack.slice(),
+        delayTimer: cpu.delayTimer,
+        soundTimer: cpu.soundTimer,
+        memory: Array.from(cpu.memory),
+        display: Array.from(cpu.renderer.display)
+    };
+}
+
+test('Replaying a recording ends in the same state', function() {
+    let cpu = machine([], QUIRKS.COSMAC_VIP);
+    cpu.loadProgramIntoMemory(BLITZ);
+
+    let movie = new Movie(cpu);
+    movie.record(1234);
+
+    // Start a game and drop a few bombs
+    for (let frame = 0; frame < 400; frame++) {
+        if (frame % 60 === 30) {
+            cpu.keyboard.keyDown(5);
+        } else if (frame % 60 === 40) {
+            cpu.keyboard.keyUp(5);
+        }
+
+        movie.frame(10);
+    }
+
+    movie.stop();
+    let recorded = state(cpu);
+
+    // A different seed and keys held down now change nothing
+    cpu.random.seed(99);
+    cpu.keyboard.keyDown(5);
+
+    let replay = new Movie(cpu);
+    replay.play(movie.serialize());
+
+    // Recorded number of instructions is run, whatever is asked for
+    while (replay.active) {
+        replay.frame(1);
+    }
+
+    assert.equal(replay.position, 400);
+    assert.deepEqual(state(cpu), recorded);
+});
+
+test('Changing settings part way stops the movie', function() {
+    let cpu = machine([0x1200], QUIRKS.COSMAC_VIP);
+
+    let movie = new Movie(cpu);
+    movie.record(1);
+    movie.frame(10);
+
+    cpu.quirks = Object.assign({}, cpu.quirks, { keyRelease: !cpu.quirks.keyRelease });
+    movie.frame(10);
+
+    assert.equal(movie.active, false);
+    assert.equal(movie.frames.length, 1);
+});
@@ -0,0 +1,554 @@
+// One or more tests per instruction, run under the default profile unless the instruction needs another
+// Quirks are covered in quirks.js, Fx0A in keywait.js and faults in faults.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import QUIRKS from "../scripts/quirks.js";
+import { machine, withQuirks, step, pixels } from "./machine.js";
+
+test('00E0 - CLS clears the display', function() {
+    let cpu = machine([0x00E0]);
+    cpu.renderer.display.fill(1);
+
+    step(cpu);
+
+    assert.ok(pixels(cpu.renderer, 0, 0, 64 * 32).every(pixel => pixel === 0));
+});
+
+test('2nnn - CALL and 00EE - RET', function() {
+    let cpu = machine([0x2206, 0x0000, 0x0000, 0x00EE]);
+
+    step(cpu);
+    assert.equal(cpu.pc, 0x206);
+    assert.deepEqual(cpu.stack, [0x202]);
+
+    step(cpu);
+    assert.equal(cpu.pc, 0x202);
+    assert.deepEqual(cpu.stack, []);
+});
+
+test('1nnn - JP addr', function() {
+    let cpu = machine([0x1345]);
+
+    step(cpu);
+
+    assert.equal(cpu.pc, 0x345);
+});
+
+test('3xkk - SE Vx, byte skips when equal', function() {
+    let cpu = machine([0x6142, 0x3142, 0x0000, 0x3143]);
+
+    step(cpu, 2);
+    assert.equal(cpu.pc, 0x206);
+
+    step(cpu);
+    assert.equal(cpu.pc, 0x208);
+});
+
+test('4xkk - SNE Vx, byte skips when not equal', function() {
+    let cpu = machine([0x6142, 0x4143, 0x0000, 0x4142]);
+
+    step(cpu, 2);
+    assert.equal(cpu.pc, 0x206);
+
+    step(cpu);
+    assert.equal(cpu.pc, 0x208);
+});
+
+test('5xy0 - SE Vx, Vy and 9xy0 - SNE Vx, Vy', function() {
+    let cpu = machine([0x6107, 0x6207, 0x5120, 0x0000, 0x9120, 0x6208, 0x9120, 0x0000]);
+
+    step(cpu, 3);
+    assert.equal(cpu.pc, 0x208);
+
+    step(cpu);
+    assert.equal(cpu.pc, 0x20A);
+
+    step(cpu, 2);
+    assert.equal(cpu.pc, 0x210);
+});
+
+test('Skips step over all 4 bytes of F000 nnnn', function() {
+    let cpu = machine([0x3000, 0xF000, 0x1234, 0x6001], QUIRKS.XOCHIP);
+
+    step(cpu);
+
+    assert.equal(cpu.pc, 0x206);
+});
+
+test('6xkk - LD Vx, byte and 7xkk - ADD Vx, byte wrap without touching VF', function() {
+    let cpu = machine([0x6AF0, 0x7A20]);
+
+    step(cpu, 2);
+
+    assert.equal(cpu.v[0xA], 0x10);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('8xy0 - LD Vx, Vy', function() {
+    let cpu = machine([0x6233, 0x8120]);
+
+    step(cpu, 2);
+
+    assert.equal(cpu.v[1], 0x33);
+});
+
+test('8xy1, 8xy2, 8xy3 - OR, AND, XOR', function() {
+    let cpu = machine([0x60F0, 0x613C, 0x8011, 0x623C, 0x63F0, 0x8232, 0x643C, 0x65F0, 0x8453]);
+
+    step(cpu, 9);
+
+    assert.equal(cpu.v[0], 0xFC);
+    assert.equal(cpu.v[2], 0x30);
+    assert.equal(cpu.v[4], 0xCC);
+});
+
+test('8xy4 - ADD Vx, Vy sets VF to carry', function() {
+    let cpu = machine([0x60F0, 0x6120, 0x8014, 0x6210, 0x8214]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0], 0x10);
+    assert.equal(cpu.v[0xF], 1);
+
+    step(cpu, 2);
+    assert.equal(cpu.v[2], 0x30);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('8xy4 - VF as Vx or Vy', function() {
+    // Flag replaces the sum
+    let cpu = machine([0x6FF0, 0x6120, 0x8F14]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0xF], 1);
+
+    // VF is read before the flag is set
+    cpu = machine([0x60FF, 0x6F01, 0x80F4]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0], 0x00);
+    assert.equal(cpu.v[0xF], 1);
+});
+
+test('8xy5 - SUB Vx, Vy sets VF to not borrow, 1 when equal', function() {
+    let cpu = machine([0x6005, 0x6103, 0x8015, 0x6203, 0x6305, 0x8235, 0x6407, 0x6507, 0x8455]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[0xF], 1);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[2], 0xFE);
+    assert.equal(cpu.v[0xF], 0);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[4], 0x00);
+    assert.equal(cpu.v[0xF], 1);
+});
+
+test('8xy5 - VF as Vx or Vy', function() {
+    let cpu = machine([0x6F03, 0x6105, 0x8F15]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0xF], 0);
+
+    cpu = machine([0x6003, 0x6F05, 0x80F5]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0], 0xFE);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('8xy7 - SUBN Vx, Vy sets VF to not borrow', function() {
+    let cpu = machine([0x6003, 0x6105, 0x8017, 0x6205, 0x6303, 0x8237]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[0xF], 1);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[2], 0xFE);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('8xy7 - VF as Vx or Vy', function() {
+    let cpu = machine([0x6F05, 0x6103, 0x8F17]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0xF], 0);
+
+    cpu = machine([0x6003, 0x6F05, 0x80F7]);
+
+    step(cpu, 3);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[0xF], 1);
+});
+
+test('8xy6 - SHR sets VF to the bit shifted out', function() {
+    let cpu = machine([0x6005, 0x8006, 0x6204, 0x8226]);
+
+    step(cpu, 2);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[0xF], 1);
+
+    step(cpu, 2);
+    assert.equal(cpu.v[2], 0x02);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('8xy6 - VF as Vx or Vy', function() {
+    // Flag replaces the result
+    let cpu = machine([0x6F02, 0x8FF6], withQuirks('COSMAC_VIP', { shifting: true }));
+
+    step(cpu, 2);
+    assert.equal(cpu.v[0xF], 0);
+
+    // VF is read before the flag is set
+    cpu = machine([0x6F81, 0x80F6], withQuirks('COSMAC_VIP', { shifting: false }));
+
+    step(cpu, 2);
+    assert.equal(cpu.v[0], 0x40);
+    assert.equal(cpu.v[0xF], 1);
+});
+
+test('8xyE - SHL sets VF to the bit shifted out', function() {
+    let cpu = machine([0x6081, 0x800E, 0x6241, 0x822E]);
+
+    step(cpu, 2);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[0xF], 1);
+
+    step(cpu, 2);
+    assert.equal(cpu.v[2], 0x82);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('8xyE - VF as Vx or Vy', function() {
+    // Flag replaces the result
+    let cpu = machine([0x6F40, 0x8FFE], withQuirks('COSMAC_VIP', { shifting: true }));
+
+    step(cpu, 2);
+    assert.equal(cpu.v[0xF], 0);
+
+    // VF is read before the flag is set
+    cpu = machine([0x6F81, 0x80FE], withQuirks('COSMAC_VIP', { shifting: false }));
+
+    step(cpu, 2);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[0xF], 1);
+});
+
+test('Annn - LD I, addr', function() {
+    let cpu = machine([0xA345]);
+
+    step(cpu);
+
+    assert.equal(cpu.i, 0x345);
+});
+
+test('Bnnn - JP V0, addr', function() {
+    let cpu = machine([0x6004, 0x6108, 0xB300]);
+
+    step(cpu, 3);
+
+    assert.equal(cpu.pc, 0x304);
+});
+
+test('Cxkk - RND Vx, byte masks a random byte and follows the seed', function() {
+    let values = [1, 2].map(function() {
+        let cpu = machine([0xC0FF, 0xC10F, 0xC200]);
+        cpu.random.seed(1234);
+
+        step(cpu, 3);
+
+        return Array.from(cpu.v.slice(0, 3));
+    });
+
+    assert.deepEqual(values[0], values[1]);
+    assert.equal(values[0][1] & 0xF0, 0);
+    assert.equal(values[0][2], 0);
+});
+
+test('Dxyn - DRW draws with XOR and sets VF on collision', function() {
+    // Font digit 0 at 2, 1, drawn twice
+    let cpu = machine([0x6002, 0x6101, 0xA000, 0xD015, 0xD015]);
+
+    step(cpu, 4);
+    assert.deepEqual(pixels(cpu.renderer, 2, 1, 4), [1, 1, 1, 1]);
+    assert.deepEqual(pixels(cpu.renderer, 2, 2, 4), [1, 0, 0, 1]);
+    assert.equal(cpu.v[0xF], 0);
+
+    step(cpu);
+    assert.ok(pixels(cpu.renderer, 0, 0, 64 * 32).every(pixel => pixel === 0));
+    assert.equal(cpu.v[0xF], 1);
+});
+
+test('Dxyn - start position wraps around the screen', function() {
+    let cpu = machine([0x6044, 0x6121, 0xA000, 0xD011], QUIRKS.SCHIP);
+
+    step(cpu, 4);
+
+    assert.deepEqual(pixels(cpu.renderer, 4, 1, 4), [1, 1, 1, 1]);
+});
+
+test('Dxy0 - draws a 16x16 sprite in high resolution', function() {
+    let cpu = machine([0x00FF, 0xA300, 0xD000], QUIRKS.SCHIP);
+    cpu.memory.fill(0xFF, 0x300, 0x320);
+
+    step(cpu, 3);
+
+    let lit = pixels(cpu.renderer, 0, 0, 128 * 64).filter(pixel => pixel === 1).length;
+
+    assert.equal(cpu.renderer.cols, 128);
+    assert.equal(lit, 256);
+    assert.deepEqual(pixels(cpu.renderer, 15, 15, 2), [1, 0]);
+});
+
+test('Ex9E - SKP Vx and ExA1 - SKNP Vx', function() {
+    let cpu = machine([0x6005, 0xE09E, 0x0000, 0xE0A1, 0x0000, 0xE0A1]);
+    cpu.deliverKeyEvent({ key: 5, pressed: true });
+
+    step(cpu, 2);
+    assert.equal(cpu.pc, 0x206);
+
+    step(cpu);
+    assert.equal(cpu.pc, 0x208);
+
+    cpu.deliverKeyEvent({ key: 5, pressed: false });
+
+    cpu.pc = 0x206;
+    step(cpu);
+    assert.equal(cpu.pc, 0x20A);
+});
+
+test('Fx07, Fx15, Fx18 - timers count down once a frame', function() {
+    let cpu = machine([0x6003, 0xF015, 0xF018, 0xF107]);
+
+    step(cpu, 3);
+    cpu.updateTimers();
+    step(cpu);
+
+    assert.equal(cpu.delayTimer, 2);
+    assert.equal(cpu.soundTimer, 2);
+    assert.equal(cpu.v[1], 2);
+});
+
+test('Fx1E - ADD I, Vx', function() {
+    let cpu = machine([0xA100, 0x6005, 0xF01E]);
+
+    step(cpu, 3);
+
+    assert.equal(cpu.i, 0x105);
+});
+
+test('Fx29 - LD F, Vx points I at the font digit', function() {
+    let cpu = machine([0x601A, 0xF029]);
+
+    step(cpu, 2);
+
+    assert.equal(cpu.i, 0xA * 5);
+});
+
+test('Fx33 - LD B, Vx stores decimal digits', function() {
+    let cpu = machine([0x607B, 0xA300, 0xF033]);
+
+    step(cpu, 3);
+
+    assert.deepEqual(Array.from(cpu.memory.slice(0x300, 0x303)), [1, 2, 3]);
+});
+
+test('Fx55 - LD [I], Vx and Fx65 - LD Vx, [I]', function() {
+    let cpu = machine([0x6001, 0x6102, 0x6203, 0xA300, 0xF255, 0xA300, 0xF365]);
+    cpu.memory[0x303] = 4;
+
+    step(cpu, 5);
+    assert.deepEqual(Array.from(cpu.memory.slice(0x300, 0x304)), [1, 2, 3, 4]);
+
+    cpu.v.fill(0);
+
+    step(cpu, 2);
+    assert.deepEqual(Array.from(cpu.v.slice(0, 4)), [1, 2, 3, 4]);
+});
+
+test('00FF, 00FE - HIGH and LOW switch resolution', function() {
+    let cpu = machine([0x00FF, 0x00FE], QUIRKS.SCHIP);
+
+    step(cpu);
+    assert.equal(cpu.renderer.hires, true);
+
+    step(cpu);
+    assert.equal(cpu.renderer.hires, false);
+});
+
+test('00FD - EXIT stops the machine', function() {
+    let cpu = machine([0x00FD, 0x6001], QUIRKS.SCHIP);
+
+    cpu.cycle();
+
+    assert.equal(cpu.exited, true);
+    assert.equal(cpu.v[0], 0);
+});
+
+test('00Cn - SCD nibble scrolls the display down n pixels', function() {
+    // Pixel at the top left and one on the bottom row, which scrolls off
+    let cpu = machine([0x00FF, 0xA300, 0x6000, 0x613F, 0xD001, 0xD011, 0x00C3], QUIRKS.SCHIP);
+    cpu.memory[0x300] = 0x80;
+
+    step(cpu, 7);
+
+    assert.deepEqual(pixels(cpu.renderer, 0, 0, 1), [0]);
+    assert.deepEqual(pixels(cpu.renderer, 0, 3, 1), [1]);
+    assert.equal(cpu.renderer.display.reduce((sum, pixel) => sum + pixel, 0), 1);
+});
+
+test('00FB, 00FC - SCR and SCL scroll the display 4 pixels right and left', function() {
+    let cpu = machine([0x00FF, 0xA300, 0x6000, 0xD001, 0x00FB, 0x00FC, 0x00FC], QUIRKS.SCHIP);
+    cpu.memory[0x300] = 0x80;
+
+    step(cpu, 5);
+    assert.deepEqual(pixels(cpu.renderer, 0, 0, 5), [0, 0, 0, 0, 1]);
+
+    step(cpu);
+    assert.deepEqual(pixels(cpu.renderer, 0, 0, 5), [1, 0, 0, 0, 0]);
+
+    // Pixels scrolled off the edge are lost, they do not wrap
+    step(cpu);
+    assert.ok(cpu.renderer.display.every(pixel => pixel === 0));
+});
+
+test('Fx30 - LD HF, Vx points I at the large font digit', function() {
+    let cpu = machine([0x601F, 0xF030, 0x6000, 0xF130], QUIRKS.SCHIP);
+
+    step(cpu, 2);
+
+    // Only the low nibble counts, 0x1F is F
+    let digit = Array.from(cpu.memory.slice(cpu.i, cpu.i + 10));
+    assert.deepEqual(digit, [0xFF, 0xFF, 0xC0, 0xC0, 0xFF, 0xFF, 0xC0, 0xC0, 0xC0, 0xC0]);
+
+    // 10 bytes a digit
+    let f = cpu.i;
+    step(cpu, 2);
+    assert.equal(f - cpu.i, 15 * 10);
+});
+
+test('Fx75 - LD R, Vx and Fx85 - LD Vx, R', function() {
+    let cpu = machine([0x6007, 0x6108, 0xF175, 0x6000, 0x6100, 0xF185], QUIRKS.SCHIP);
+
+    step(cpu, 6);
+
+    assert.deepEqual(Array.from(cpu.v.slice(0, 2)), [7, 8]);
+});
+
+test('Fx75, Fx85 - only V0 to Vx are saved and loaded', function() {
+    let program = [0xF775, 0xF385];
+    let cpu = machine(program, QUIRKS.SCHIP);
+    cpu.v.set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+    cpu.rpl.fill(0xEE);
+
+    step(cpu);
+    assert.deepEqual(Array.from(cpu.rpl.slice(0, 9)), [1, 2, 3, 4, 5, 6, 7, 8, 0xEE]);
+
+    cpu.v.fill(0);
+    step(cpu);
+    assert.deepEqual(Array.from(cpu.v.slice(0, 5)), [1, 2, 3, 4, 0]);
+});
+
+test('Fx75, Fx85 - flags survive a reset but not a power cycle', function() {
+    // XO-CHIP saves all 16 registers
+    let cpu = machine([0x6FAB, 0xFF75, 0xFF85], QUIRKS.XOCHIP);
+
+    step(cpu, 2);
+    cpu.reset();
+    step(cpu, 2);
+    assert.equal(cpu.v[0xF], 0xAB);
+
+    cpu.powerCycle();
+    cpu.pc = 0x204;
+    step(cpu);
+    assert.equal(cpu.v[0xF], 0);
+});
+
+test('F000 nnnn - LD I, long addr', function() {
+    let cpu = machine([0xF000, 0xABCD], QUIRKS.XOCHIP);
+
+    step(cpu);
+
+    assert.equal(cpu.i, 0xABCD);
+    assert.equal(cpu.pc, 0x204);
+});
+
+test('5xy2 and 5xy3 - store and load a range of registers, reversed when x > y', function() {
+    let cpu = machine([0x6101, 0x6202, 0x6303, 0xA300, 0x5132, 0x5313], QUIRKS.XOCHIP);
+
+    step(cpu, 5);
+    assert.deepEqual(Array.from(cpu.memory.slice(0x300, 0x303)), [1, 2, 3]);
+    assert.equal(cpu.i, 0x300);
+
+    step(cpu);
+    assert.deepEqual(Array.from(cpu.v.slice(1, 4)), [3, 2, 1]);
+});
+
+test('5xy2 - store reversed when x > y, 5xy3 - load in order when x < y', function() {
+    let cpu = machine([0x6101, 0x6202, 0x6303, 0xA300, 0x5312, 0x5463], QUIRKS.XOCHIP);
+
+    step(cpu, 5);
+    assert.deepEqual(Array.from(cpu.memory.slice(0x300, 0x303)), [3, 2, 1]);
+    assert.equal(cpu.i, 0x300);
+
+    step(cpu);
+    assert.deepEqual(Array.from(cpu.v.slice(4, 7)), [3, 2, 1]);
+});
+
+test('00Dn - SCU nibble and scrolls only move the selected planes', function() {
+    // Pixel at 0, 5 in plane 1 and plane 2, then scroll plane 2 up 2 and right 4
+    let program = [0x00FF, 0xA300, 0x6000, 0x6105, 0xF101, 0xD011, 0xF201, 0xD011, 0x00D2, 0x00FB];
+    let cpu = machine(program, QUIRKS.XOCHIP);
+    cpu.memory[0x300] = 0x80;
+    let at = (x, y) => cpu.renderer.display[(y * cpu.renderer.cols) + x];
+
+    step(cpu, 8);
+    assert.equal(at(0, 5), 3);
+
+    step(cpu);
+    assert.equal(at(0, 5), 1);
+    assert.equal(at(0, 3), 2);
+
+    step(cpu);
+    assert.equal(at(0, 3), 0);
+    assert.equal(at(4, 3), 2);
+    assert.equal(at(0, 5), 1);
+});
+
+test('F002 - AUDIO loads a 16 byte pattern from I', function() {
+    let cpu = machine([0xA300, 0xF002], QUIRKS.XOCHIP);
+    let pattern = Array.from({ length: 17 }, (_, index) => index * 15);
+    cpu.memory.set(pattern, 0x300);
+
+    step(cpu, 2);
+
+    assert.deepEqual(Array.from(cpu.audioPattern), pattern.slice(0, 16));
+    assert.equal(cpu.i, 0x300);
+
+    // Later writes to memory do not change the loaded pattern
+    cpu.memory[0x300] = 0xFF;
+    assert.equal(cpu.audioPattern[0], 0);
+});
+
+test('Fx3A - PITCH Vx sets the pattern playback pitch', function() {
+    let cpu = machine([0x65C8, 0xF53A], QUIRKS.XOCHIP);
+    assert.equal(cpu.pitch, 64);
+
+    step(cpu, 2);
+
+    assert.equal(cpu.pitch, 0xC8);
+});
+
+test('Fn01 - PLANE n selects the planes drawn to', function() {
+    let cpu = machine([0xF301, 0xA000, 0xD001], QUIRKS.XOCHIP);
+
+    step(cpu, 3);
+
+    // Plane 2 takes the sprite byte after plane 1's, both have the top bit set
+    assert.equal(cpu.renderer.planes, 3);
+    assert.equal(cpu.renderer.display[0], 3);
+});
@@ -0,0 +1,128 @@
+// Each quirk flag on and off, with everything else as in the profile it is changed in
+// keyRelease is covered with Fx0A in keywait.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import QUIRKS from "../scripts/quirks.js";
+import { machine, withQuirks, step, pixels } from "./machine.js";
+
+test('vfReset - 8xy1, 8xy2, 8xy3 clear VF', function() {
+    for (let opcode of [0x8011, 0x8012, 0x8013]) {
+        let cpu = machine([0x6F05, opcode], withQuirks('COSMAC_VIP', { vfReset: true }));
+        step(cpu, 2);
+        assert.equal(cpu.v[0xF], 0);
+
+        cpu = machine([0x6F05, opcode], withQuirks('COSMAC_VIP', { vfReset: false }));
+        step(cpu, 2);
+        assert.equal(cpu.v[0xF], 5);
+    }
+});
+
+test('memory - Fx55 and Fx65 move I past the last register', function() {
+    for (let opcode of [0xF255, 0xF265]) {
+        let cpu = machine([0xA300, opcode], withQuirks('SCHIP', { memory: true }));
+        step(cpu, 2);
+        assert.equal(cpu.i, 0x303);
+
+        cpu = machine([0xA300, opcode], withQuirks('SCHIP', { memory: false }));
+        step(cpu, 2);
+        assert.equal(cpu.i, 0x300);
+    }
+});
+
+test('memoryIncrementByX - Fx55 and Fx65 move I by x only', function() {
+    for (let opcode of [0xF255, 0xF265]) {
+        let cpu = machine([0xA300, opcode], withQuirks('CHIP48', { memoryIncrementByX: true }));
+        step(cpu, 2);
+        assert.equal(cpu.i, 0x302);
+
+        // Only applies along with memory
+        cpu = machine([0xA300, opcode], withQuirks('CHIP48', { memory: false, memoryIncrementByX: true }));
+        step(cpu, 2);
+        assert.equal(cpu.i, 0x300);
+    }
+});
+
+test('shifting - 8xy6 and 8xyE shift Vx in place', function() {
+    let cpu = machine([0x6010, 0x6104, 0x8016, 0x6210, 0x821E], withQuirks('COSMAC_VIP', { shifting: true }));
+    step(cpu, 5);
+    assert.equal(cpu.v[0], 0x08);
+    assert.equal(cpu.v[2], 0x20);
+
+    cpu = machine([0x6010, 0x6104, 0x8016, 0x6210, 0x821E], withQuirks('COSMAC_VIP', { shifting: false }));
+    step(cpu, 5);
+    assert.equal(cpu.v[0], 0x02);
+    assert.equal(cpu.v[2], 0x08);
+});
+
+test('jumping - Bxnn jumps to xnn + Vx', function() {
+    let cpu = machine([0x6004, 0x6108, 0xB120], withQuirks('SCHIP', { jumping: true }));
+    step(cpu, 3);
+    assert.equal(cpu.pc, 0x128);
+
+    cpu = machine([0x6004, 0x6108, 0xB120], withQuirks('SCHIP', { jumping: false }));
+    step(cpu, 3);
+    assert.equal(cpu.pc, 0x124);
+});
+
+test('clipping - sprites are cut off at the edge instead of wrapping', function() {
+    // 8 pixel row drawn 4 pixels from the right edge
+    let program = [0x603C, 0x6100, 0xA300, 0xD011];
+
+    let cpu = machine(program, withQuirks('XOCHIP', { clipping: true }));
+    cpu.memory[0x300] = 0xFF;
+    step(cpu, 4);
+    assert.deepEqual(pixels(cpu.renderer, 0, 0, 4), [0, 0, 0, 0]);
+    assert.deepEqual(pixels(cpu.renderer, 60, 0, 4), [1, 1, 1, 1]);
+
+    cpu = machine(program, withQuirks('XOCHIP', { clipping: false }));
+    cpu.memory[0x300] = 0xFF;
+    step(cpu, 4);
+    assert.deepEqual(pixels(cpu.renderer, 0, 0, 4), [1, 1, 1, 1]);
+    assert.deepEqual(pixels(cpu.renderer, 60, 0, 4), [1, 1, 1, 1]);
+});
+
+test('displayWait - frame stops after a sprite is drawn', function() {
+    let program = [0xA000, 0xD001, 0xD001, 0x6301];
+
+    let cpu = machine(program, withQuirks('SCHIP', { displayWait: true }));
+    cpu.frame(20, []);
+    assert.equal(cpu.pc, 0x204);
+
+    // Next frame draws the next sprite
+    cpu.frame(20, []);
+    assert.equal(cpu.pc, 0x206);
+
+    cpu = machine(program, withQuirks('SCHIP', { displayWait: false }));
+    cpu.frame(20, []);
+    assert.equal(cpu.v[3], 1);
+});
+
+test('memorySize - XO-CHIP has 64KB, the others 4KB', function() {
+    for (let profile in QUIRKS) {
+        let cpu = machine([], QUIRKS[profile]);
+        assert.equal(cpu.memory.length, profile === 'XOCHIP' ? 0x10000 : 0x1000);
+    }
+
+    // Memory past 4KB is reachable on XO-CHIP only
+    let cpu = machine([0xF000, 0x8000, 0x6042, 0xF055], QUIRKS.XOCHIP);
+    step(cpu, 3);
+    assert.equal(cpu.memory[0x8000], 0x42);
+    assert.equal(cpu.fault, null);
+});
+
+test('memorySize - ROMs larger than memory after 0x200 are rejected', function() {
+    let cpu = machine([], QUIRKS.SCHIP);
+
+    assert.throws(() => cpu.loadProgramIntoMemory(new Uint8Array(0xE01)), {
+        message: 'ROM is 3585 bytes, only 3584 fit in memory'
+    });
+    assert.equal(cpu.rom.length, 0);
+
+    cpu.loadProgramIntoMemory(new Uint8Array(0xE00).fill(1));
+    assert.equal(cpu.memory[0xFFF], 1);
+
+    cpu = machine([], QUIRKS.XOCHIP);
+    cpu.loadProgramIntoMemory(new Uint8Array(0xE01));
+    assert.equal(cpu.rom.length, 0xE01);
+});
@@ -0,0 +1,75 @@
+// Dirty region rendering, see Renderer.markDirty() and render()
+// Only the changed rectangle is repainted, and frames where nothing changed are skipped
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Renderer from "../scripts/renderer.js";
+
+// Headless renderer drawing to a backend that keeps the regions it is handed
+function renderer() {
+    let renderer = new Renderer(10, null);
+    let regions = [];
+
+    renderer.backend = {
+        draw: function(renderer, region) {
+            regions.push(Object.assign({}, region));
+        }
+    };
+
+    // First render paints the whole display
+    renderer.render();
+    regions.length = 0;
+
+    return { renderer: renderer, regions: regions };
+}
+
+test('Dirty rectangles merge into one covering them all', function() {
+    let { renderer: display } = renderer();
+
+    display.markDirty(2, 3, 4, 5);
+    display.markDirty(10, 1, 11, 2);
+
+    assert.deepEqual(display.dirty, { left: 2, top: 1, right: 11, bottom: 5 });
+});
+
+test('Dirty rectangles are cut to the display, off screen ones are ignored', function() {
+    let { renderer: display } = renderer();
+
+    display.markDirty(-5, 70, 0, 80);
+    assert.equal(display.dirty, null);
+
+    display.markDirty(-5, -5, 2, 2);
+    display.markDirty(60, 30, 70, 40);
+
+    assert.deepEqual(display.dirty, { left: 0, top: 0, right: 64, bottom: 32 });
+});
+
+test('Render draws only the changed pixels, and nothing when none changed', function() {
+    let { renderer: display, regions } = renderer();
+
+    display.setPixel(5, 2);
+    display.setPixel(7, 4);
+    display.render();
+    display.render();
+
+    assert.deepEqual(regions, [{ left: 5, top: 2, right: 8, bottom: 5 }]);
+    assert.equal(display.dirty, null);
+});
+
+test('Pixels fading out are drawn again until they reach the background', function() {
+    let { renderer: display, regions } = renderer();
+    display.persistence = 0.5;
+
+    display.setPixel(1, 1);
+    display.render();
+    display.setPixel(1, 1);
+
+    for (let i = 0; i < 20; i++) {
+        display.render();
+    }
+
+    // Fades halve the distance each frame, a lit pixel rounds to background after a few
+    assert.ok(regions.length > 2 && regions.length < 20);
+    assert.deepEqual(regions[regions.length - 1], { left: 1, top: 1, right: 2, bottom: 2 });
+    assert.equal(display.dirty, null);
+});
@@ -0,0 +1,65 @@
+// Rewind, see rewind.js
+// Frames come back newest first, and only as many as depth and the memory budget keep
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Rewind from "../scripts/rewind.js";
+import { machine } from "./machine.js";
+
+// Record a frame for each value, marked in V0
+function record(rewind, ...values) {
+    for (let value of values) {
+        rewind.cpu.v[0] = value;
+        rewind.record();
+    }
+}
+
+// V0 of every frame stepping back restores, newest first
+function rewound(rewind) {
+    let values = [];
+
+    while (rewind.stepBack()) {
+        values.push(rewind.cpu.v[0]);
+    }
+
+    return values;
+}
+
+test('Frames past depth overwrite the oldest', function() {
+    let rewind = new Rewind(machine(), 3);
+
+    record(rewind, 1, 2, 3, 4, 5);
+
+    assert.equal(rewind.count, 3);
+    assert.deepEqual(rewound(rewind), [5, 4, 3]);
+    assert.equal(rewind.stepBack(), false);
+});
+
+test('Recording after stepping back carries on from the rewound frame', function() {
+    let rewind = new Rewind(machine(), 3);
+
+    record(rewind, 1, 2, 3, 4);
+    rewind.stepBack();
+    record(rewind, 5, 6);
+
+    assert.deepEqual(rewound(rewind), [6, 5, 3]);
+});
+
+test('Memory budget caps the frames kept', function() {
+    // COSMAC VIP snapshots are 4KB of memory, the display and registers, about 12.3KB
+    let rewind = new Rewind(machine(), 600, 30 * 1024);
+
+    record(rewind, 1, 2, 3, 4);
+
+    assert.equal(rewind.capacity, 2);
+    assert.deepEqual(rewound(rewind), [4, 3]);
+});
+
+test('At least one frame is kept however small the budget', function() {
+    let rewind = new Rewind(machine(), 600, 1);
+
+    record(rewind, 1, 2);
+
+    assert.equal(rewind.capacity, 1);
+    assert.deepEqual(rewound(rewind), [2]);
+});
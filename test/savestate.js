@@ -0,0 +1,83 @@
+// Save states, see savestate.js
+// A state has to bring back the whole machine, and only load where it was saved
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import QUIRKS from "../scripts/quirks.js";
+import SaveStates from "../scripts/savestate.js";
+import { machine, step } from "./machine.js";
+
+// Hires, draw a sprite, call a subroutine, set timers, RPL flags and an audio pattern
+const PROGRAM = [
+    0x00FF, 0x6A05, 0xFA15, 0xFA18, 0x6B2A, 0xFB75, 0xA300, 0xF002,
+    0xF201, 0x6003, 0xD001, 0x2218, 0x1216
+];
+
+// Everything a state has to bring back
+function state(cpu) {
+    return {
+        memory: Array.from(cpu.memory),
+        v: Array.from(cpu.v),
+        i: cpu.i,
+        pc: cpu.pc,
+        stack: cpu.stack.slice(),
+        delayTimer: cpu.delayTimer,
+        soundTimer: cpu.soundTimer,
+        audioPattern: Array.from(cpu.audioPattern),
+        pitch: cpu.pitch,
+        rpl: Array.from(cpu.rpl),
+        random: cpu.random.nextByte(),
+        hires: cpu.renderer.hires,
+        planes: cpu.renderer.planes,
+        display: Array.from(cpu.renderer.display)
+    };
+}
+
+function saved() {
+    let cpu = machine(PROGRAM, QUIRKS.XOCHIP);
+    cpu.memory.set([0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55], 0x300);
+    step(cpu, 12);
+
+    return { cpu: cpu, states: new SaveStates(cpu) };
+}
+
+test('A deserialized state is the machine as it was serialized', function() {
+    let { cpu, states } = saved();
+    let json = states.serialize();
+    let expected = state(cpu);
+
+    // Change everything the state holds
+    step(cpu, 2);
+    cpu.powerCycle();
+    cpu.memory[0x300] = 0;
+    cpu.random.nextByte();
+
+    states.deserialize(json);
+
+    assert.deepEqual(state(cpu), expected);
+});
+
+test('A state saved by another version is rejected', function() {
+    let { cpu, states } = saved();
+    let json = JSON.parse(states.serialize());
+    json.version = 1;
+    let pc = cpu.pc;
+
+    assert.throws(() => states.deserialize(JSON.stringify(json)), /Unsupported save state version 1/);
+    assert.equal(cpu.pc, pc);
+});
+
+test('A state saved on another platform is rejected', function() {
+    let { states } = saved();
+    let cpu = machine(PROGRAM, QUIRKS.SCHIP);
+
+    assert.throws(() => new SaveStates(cpu).deserialize(states.serialize()), /Save state is for XO-CHIP/);
+});
+
+test('A state saved with another ROM is rejected', function() {
+    let { states } = saved();
+    let cpu = machine(PROGRAM.slice(0, -1), QUIRKS.XOCHIP);
+
+    assert.throws(() => new SaveStates(cpu).deserialize(states.serialize()), /different ROM/);
+    assert.equal(cpu.pc, 0x200);
+});
@@ -0,0 +1,69 @@
+// Scheduler, see scheduler.js
+// Frames follow real time, and instructions per frame add up to the set rate
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Scheduler from "../scripts/scheduler.js";
+
+// Scheduler for a CPU running ips instructions per second
+// Returns it with the instructions of every frame it runs
+function scheduler(ips) {
+    let cpu = { instructionsPerSecond: ips, frame: function() {} };
+    let frames = [];
+    let scheduler = new Scheduler(cpu);
+
+    scheduler.onFrame = function(instructions) {
+        frames.push(instructions);
+    };
+
+    return { scheduler: scheduler, frames: frames };
+}
+
+const sum = (numbers) => numbers.reduce((total, number) => total + number, 0);
+
+test('Fractions of an instruction carry over to the next frame', function() {
+    // 1.5 instructions a frame
+    let { scheduler: run, frames } = scheduler(90);
+
+    for (let i = 0; i < 4; i++) {
+        run.runFrame();
+    }
+
+    assert.deepEqual(frames, [1, 2, 1, 2]);
+});
+
+test('A second of updates runs 60 frames of the set rate', function() {
+    let { scheduler: run, frames } = scheduler(90);
+
+    // Updates more often than frames, a little over a second so rounding does not drop the last one
+    for (let now = 0; now <= 1010; now += 10) {
+        run.update(now);
+    }
+
+    assert.equal(frames.length, 60);
+    assert.equal(sum(frames), 90);
+});
+
+test('Catching up is limited to a second of frames', function() {
+    let { scheduler: run, frames } = scheduler(60);
+
+    run.update(0);
+    assert.equal(run.update(60000), 60);
+
+    // The rest of the minute is dropped rather than run later
+    assert.equal(run.update(60000), 0);
+    assert.equal(frames.length, 60);
+});
+
+test('Time while paused is not caught up afterwards', function() {
+    let { scheduler: run, frames } = scheduler(60);
+
+    run.update(0);
+    run.setSpeed('pause');
+    run.update(500);
+    run.setSpeed('normal');
+    run.update(500);
+
+    assert.equal(frames.length, 0);
+    assert.throws(() => run.setSpeed('slow'), /Unknown speed slow/);
+});